@@ -3,17 +3,36 @@ import fetch from 'node-fetch';
 import express from 'express';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import os from 'os';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import probe from 'probe-image-size';
+import sharp from 'sharp';
 import rateLimit from 'express-rate-limit';
 import cron from 'node-cron';
 import cors from 'cors';
+import {
+  S3Client,
+  HeadObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
 import {
   Client,
   GatewayIntentBits,
   Partials,
   PermissionsBitField,
   EmbedBuilder,
-  ChannelType
+  ChannelType,
+  SlashCommandBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle
 } from 'discord.js';
 
 /* =============================
@@ -23,6 +42,7 @@ dotenv.config();
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
 const ADMIN_ROLE_ID = process.env.ADMIN_ROLE_ID;
 const WELCOME_CHANNEL_ID = process.env.WELCOME_CHANNEL_ID;
+const ADMIN_CHANNEL_ID = process.env.ADMIN_CHANNEL_ID;
 
 /* =============================
    Discord Client Setup
@@ -41,7 +61,9 @@ const client = new Client({
 /* =============================
    Scheduled Messages Setup
 ============================= */
-const scheduledMessagesFilePath = path.join(process.cwd(), 'assets', 'scheduledMessages.json');
+// Kept outside /assets, which is served publicly
+const scheduledMessagesFilePath = path.join(process.cwd(), 'scheduledMessages.json');
+const legacyScheduledMessagesFilePath = path.join(process.cwd(), 'assets', 'scheduledMessages.json');
 
 // Default scheduled messages
 const defaultScheduledMessages = [
@@ -156,6 +178,18 @@ const defaultScheduledMessages = [
   }
 ];
 
+// Older versions kept the file in /assets
+if (fs.existsSync(legacyScheduledMessagesFilePath)) {
+  if (fs.existsSync(scheduledMessagesFilePath)) {
+    const backupPath = path.join(process.cwd(), 'scheduledMessages.assets-backup.json');
+    fs.renameSync(legacyScheduledMessagesFilePath, backupPath);
+    console.warn(`scheduledMessages.json existed both in /assets and next to config.json. Using the latter, the one from /assets was moved to ${backupPath}.`);
+  } else {
+    fs.renameSync(legacyScheduledMessagesFilePath, scheduledMessagesFilePath);
+    console.log('Moved scheduledMessages.json out of /assets.');
+  }
+}
+
 // Create the scheduledMessages.json file if it doesn't exist
 if (!fs.existsSync(scheduledMessagesFilePath)) {
   console.log('scheduledMessages.json not found. Creating a default file...');
@@ -167,820 +201,4834 @@ if (!fs.existsSync(scheduledMessagesFilePath)) {
   console.log('Default scheduledMessages.json file created.');
 }
 
-// Load scheduled messages into memory
-let scheduledMessages = [];
-try {
-  const rawData = fs.readFileSync(scheduledMessagesFilePath, 'utf8');
-  scheduledMessages = JSON.parse(rawData);
-} catch (err) {
-  console.error('Error reading scheduledMessages.json:', err);
-  scheduledMessages = [];
-}
-
-// Keep references to cron jobs/timeouts for reloading
-let cronJobs = [];
-
-// Map to store messageID => scheduled config object
-const messageIdToScheduledConfig = new Map();
-
 /* =============================
-   Helper: Send a Scheduled Message
+   Date + Cron Helpers
 ============================= */
-async function sendScheduledMessage(msg) {
-  try {
-    const channel = await client.channels.fetch(msg.channelId);
-    if (!channel || !channel.isTextBased()) {
-      console.error(`Channel not found or not text-based for ${msg.name}`);
-      return;
-    }
+const DEFAULT_TIMEZONE = 'Europe/Stockholm';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CRON_MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const CRON_DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
 
-    let finalMessageContent = msg.messageContent;
+function parseCronValue(value, min, names) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const nameIndex = names.indexOf(value.slice(0, 3));
+  if (/^[a-z]+$/.test(value) && nameIndex !== -1) return nameIndex + min;
+  throw new Error(`Invalid cron value "${value}"`);
+}
 
-    // Send the message with or without attachments
-    let sentMessage;
-    if (finalMessageContent.length > 0) {
-      sentMessage = await channel.send(finalMessageContent);
-    } else {
-      sentMessage = await channel.send("No message exist, please just report this to Arthur ahahaha, look line 200");
+// Expand one cron field (lists, ranges, steps, names) into the Set of allowed values
+function parseCronField(field, min, max, names = []) {
+  const values = new Set();
+  for (const part of field.toLowerCase().split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron step "${part}"`);
+    }
+    let start = min;
+    let end = max;
+    if (rangePart !== '*' && rangePart !== '?') {
+      const [from, to] = rangePart.split('-');
+      start = parseCronValue(from, min, names);
+      end = to !== undefined ? parseCronValue(to, min, names) : (stepPart !== undefined ? max : start);
     }
+    if (start < min || end > max || start > end) {
+      throw new Error(`Cron value out of range "${part}"`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
 
-    // Store the mapping
-    messageIdToScheduledConfig.set(sentMessage.id, msg);
+// Same field layout as node-cron: optional seconds, then minute hour day-of-month month day-of-week
+function parseCronExpression(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) {
+    throw new Error('Cron expression must have 5 or 6 fields');
+  }
+  const daysOfWeek = parseCronField(parts[5], 0, 7, CRON_DAY_NAMES);
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+  return {
+    parts,
+    seconds: parseCronField(parts[0], 0, 59),
+    minutes: parseCronField(parts[1], 0, 59),
+    hours: parseCronField(parts[2], 0, 23),
+    daysOfMonth: parseCronField(parts[3], 1, 31),
+    months: parseCronField(parts[4], 1, 12, CRON_MONTH_NAMES),
+    daysOfWeek
+  };
+}
 
-    // React with ❤️
-    await sentMessage.react('❤️');
+// Calendar date + wall-clock time of an instant in the given IANA timezone
+const zonedDateFormatters = new Map(); // timezone => Intl.DateTimeFormat, creating one is slow
 
-    console.log(`[SENT] "${msg.name}" -> #${channel.name} at ${new Date().toLocaleString()}`);
-  } catch (error) {
-    console.error(`Error sending scheduled message for ${msg.name}:`, error);
+function getZonedDateParts(date, timezone) {
+  if (!zonedDateFormatters.has(timezone)) {
+    zonedDateFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
   }
+  const parts = zonedDateFormatters.get(timezone).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
 }
 
-/* =============================
-   Function: Schedule All Messages
-   - type: "weekly" => node-cron
-   - type: "date"   => setTimeout (+ daybefore)
-============================= */
-function scheduleAllMessages(messages) {
-  // Stop existing tasks
-  cronJobs.forEach(job => {
-    if (job.stop) {
-      job.stop(); // Stop cron job
-    } else if (job.timeoutId) {
-      clearTimeout(job.timeoutId); // Clear timeout
-    }
-  });
-  cronJobs = [];
+// Offset (ms) between the timezone's wall clock and UTC at the given instant
+function getTimezoneOffsetMs(date, timezone) {
+  const parts = getZonedDateParts(date, timezone);
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
 
-  messages.forEach(msg => {
-    if (!msg.turnon) {
-      console.log(`Skipping disabled task: ${msg.name}`);
-      return;
-    }
+// Instant at which the timezone's wall clock shows the given date + time.
+// Times skipped by a DST change are moved forward by the size of the gap.
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstOffset = getTimezoneOffsetMs(new Date(wallClockAsUtc), timezone);
+  const secondOffset = getTimezoneOffsetMs(new Date(wallClockAsUtc - firstOffset), timezone);
+  return new Date(wallClockAsUtc - secondOffset);
+}
 
-    if (msg.type === 'weekly') {
-      const { hour, minutes, seconds, dayoftheweek } = msg;
-      if (hour !== undefined && minutes !== undefined && seconds !== undefined && dayoftheweek !== undefined) {
-        const cronStr = `${seconds} ${minutes} ${hour} * * ${dayoftheweek}`;
-        const job = cron.schedule(
-          cronStr,
-          () => sendScheduledMessage(msg),
-          { timezone: msg.timezone || 'Europe/Stockholm' }
-        );
-        cronJobs.push(job);
-        console.log(`[WEEKLY] Scheduled: ${msg.name} => "${cronStr}" (TZ: ${msg.timezone})`);
-      } else {
-        console.warn(`[WEEKLY] Missing fields for ${msg.name}, skipping.`);
-      }
-    }
-    else if (msg.type === 'date') {
-      const { year, month, day, time, daybefore } = msg;
-      if (!year || !month || !day || !time) {
-        console.warn(`[DATE] Missing fields for ${msg.name}, skipping.`);
-        return;
-      }
-      // Parse time "HH:MM:SS"
-      const [HH, MM, SS] = time.split(':').map(Number);
-      const dateObj = new Date(
-        Number(year),
-        Number(month) - 1, // Months are zero-based in JS Date
-        Number(day),
-        HH || 0,
-        MM || 0,
-        SS || 0
-      );
+// ISO 8601 with the timezone's UTC offset, e.g. 2026-03-30T18:00:00+02:00
+function formatZonedIso(date, timezone) {
+  const parts = getZonedDateParts(date, timezone);
+  const offsetMinutes = Math.round(getTimezoneOffsetMs(date, timezone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const pad = value => String(value).padStart(2, '0');
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+  return `${formatDateKey(parts)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${offset}`;
+}
 
-      function scheduleOneTimeMessage(targetDate, label = '') {
-        const now = new Date();
-        if (targetDate > now) {
-          const diffMs = targetDate - now;
-          const timeoutId = setTimeout(async () => {
-            await sendScheduledMessage(msg);
-            console.log(`[ONE-TIME] Fired: ${msg.name} ${label} at ${new Date().toLocaleString()}`);
-          }, diffMs);
-
-          cronJobs.push({ timeoutId });
-          console.log(`[ONE-TIME] Scheduled: ${msg.name} ${label} => ${targetDate.toLocaleString()}`);
-        } else {
-          console.log(`[ONE-TIME] Skipping ${msg.name} ${label}, date is in the past => ${targetDate.toLocaleString()}`);
-        }
-      }
+function formatInTimezone(date, timezone) {
+  return `${date.toLocaleString('en-GB', { timeZone: timezone })} (TZ: ${timezone})`;
+}
 
-      // Schedule main date
-      scheduleOneTimeMessage(dateObj);
+// Calendar dates are plain { year, month, day } objects, month is 1-based
+function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return { year, month, day };
+}
 
-      // If daybefore > 0, schedule reminders
-      const daysBefore = parseInt(daybefore, 10);
-      if (daysBefore > 0) {
-        const remindDate = new Date(dateObj.getTime() - daysBefore * 24 * 60 * 60 * 1000);
-        scheduleOneTimeMessage(remindDate, `(daybefore: ${daysBefore})`);
-      }
-    }
-    else {
-      console.warn(`Unknown type "${msg.type}" for ${msg.name}, skipping.`);
-    }
-  });
+function formatDateKey({ year, month, day }) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 }
 
-// Watch the scheduledMessages.json file for changes and reload if modified
-fs.watchFile(scheduledMessagesFilePath, (curr, prev) => {
-  if (curr.mtime > prev.mtime) {
-    console.log('scheduledMessages.json changed on disk. Reloading...');
-    try {
-      const fileData = fs.readFileSync(scheduledMessagesFilePath, 'utf8');
-      scheduledMessages = JSON.parse(fileData);
-      scheduleAllMessages(scheduledMessages);
-      console.log('Reload complete. New scheduled messages have been applied.');
-    } catch (err) {
-      console.error('Error reloading scheduledMessages.json:', err);
-    }
-  }
-});
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
 
-/* =============================
-   Discord 'ready' Event Handler
-============================= */
-client.once('ready', () => {
-  scheduleAllMessages(scheduledMessages);
-  console.log(`Discord bot logged in as ${client.user.tag}!`);
-});
+function getWeekday({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Whole weeks (Sunday-based) between two calendar dates
+function getWeeksBetween(fromDate, toDate) {
+  const fromWeekStart = Date.UTC(fromDate.year, fromDate.month - 1, fromDate.day - getWeekday(fromDate));
+  const toWeekStart = Date.UTC(toDate.year, toDate.month - 1, toDate.day - getWeekday(toDate));
+  return Math.round((toWeekStart - fromWeekStart) / (7 * DAY_MS));
+}
 
 /* =============================
-   Reaction Handler
+   Message Templates
+   - placeholders: {role} {date} {time} {eventDate} {daysUntil} {channel:<id>},
+     plus {user} (who reacted) in automatic responses
+   - conditionals: {if reminder}...{else}...{/if}, conditions: reminder, event
+   - any other text in braces (e.g. JSON) is plain text
 ============================= */
-const respondedMessages = new Set(); // To track already responded messages
-
-client.on('messageReactionAdd', async (reaction, user) => {
-  if (user.bot) return; // Ignore bot reactions
+const TEMPLATE_CONDITIONAL_REGEX = /\{if (\w+)\}([\s\S]*?)(?:\{else\}([\s\S]*?))?\{\/if\}/g;
+const TEMPLATE_MESSAGE_PLACEHOLDERS = ['role', 'date', 'time', 'eventDate', 'daysUntil'];
+const TEMPLATE_RESPONSE_PLACEHOLDERS = [...TEMPLATE_MESSAGE_PLACEHOLDERS, 'user'];
+const TEMPLATE_CONDITIONS = ['reminder', 'event'];
+// Only the supported tokens, so validation can still point at a bad channel ID or condition
+const TEMPLATE_TOKEN_REGEX = new RegExp(`\\{(${[...TEMPLATE_RESPONSE_PLACEHOLDERS, 'channel:[^{}]*', 'if [^{}]*', 'else', '/if'].join('|')})\\}`, 'g');
 
-  // Handle partials
-  if (reaction.partial) {
-    try {
-      await reaction.fetch();
-    } catch (error) {
-      console.error('Failed to fetch reaction:', error);
-      return;
-    }
-  }
-  if (reaction.message.partial) {
-    try {
-      await reaction.message.fetch();
-    } catch (error) {
-      console.error('Failed to fetch message:', error);
-      return;
+// Returns an error string for the first problem in the template, null if it is valid
+function findTemplateError(template, placeholders) {
+  let insideIf = false;
+  let seenElse = false;
+  for (const [, token] of template.matchAll(TEMPLATE_TOKEN_REGEX)) {
+    if (token.startsWith('if ')) {
+      if (insideIf) return 'nested {if} blocks are not supported';
+      const condition = token.slice('if '.length).trim();
+      if (!TEMPLATE_CONDITIONS.includes(condition)) {
+        return `unknown condition "${condition}" (use: ${TEMPLATE_CONDITIONS.join(', ')})`;
+      }
+      insideIf = true;
+      seenElse = false;
+    } else if (token === 'else') {
+      if (!insideIf || seenElse) return '{else} must be inside an {if} block';
+      seenElse = true;
+    } else if (token === '/if') {
+      if (!insideIf) return '{/if} without a matching {if}';
+      insideIf = false;
+    } else if (token.startsWith('channel:')) {
+      if (!SNOWFLAKE_REGEX.test(token.slice('channel:'.length))) return `invalid channel ID in {${token}}`;
+    } else if (!placeholders.includes(token)) {
+      return `unknown placeholder {${token}} (use: ${placeholders.map(p => `{${p}}`).join(', ')}, {channel:<id>})`;
     }
   }
+  return insideIf ? '{if} without a matching {/if}' : null;
+}
 
-  // Ensure the reaction is on a message sent by the bot
-  if (reaction.message.author.id !== client.user.id) return;
-
-  if (reaction.emoji.name === '❤️') {
-    // Prevent multiple responses to the same message
-    if (respondedMessages.has(reaction.message.id)) {
-      console.log(`Already responded to message ID: ${reaction.message.id}`);
-      return;
-    }
-    respondedMessages.add(reaction.message.id);
+// user: the Discord user who reacted, if any
+function buildTemplateContext(msg, { kind = 'event', eventAt = new Date(), user = null } = {}) {
+  const timezone = msg.timezone || DEFAULT_TIMEZONE;
+  const now = new Date();
+  const today = getZonedDateParts(now, timezone);
+  const eventDay = getZonedDateParts(eventAt, timezone);
+  const formatDate = date => date.toLocaleDateString('en-GB', { timeZone: timezone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  const formatTime = date => date.toLocaleTimeString('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
 
-    // Retrieve the scheduled config for this message
-    const msgCfg = messageIdToScheduledConfig.get(reaction.message.id);
-    if (!msgCfg) {
-      console.log(`No stored config for message ID: ${reaction.message.id}`);
-      return;
+  return {
+    conditions: { reminder: kind === 'reminder', event: kind !== 'reminder' },
+    values: {
+      role: SNOWFLAKE_REGEX.test(msg.roleId || '') ? `<@&${msg.roleId}>` : '',
+      user: user ? `<@${user.id}>` : '',
+      date: formatDate(now),
+      time: formatTime(now),
+      eventDate: formatDate(eventAt),
+      daysUntil: Math.round((Date.UTC(eventDay.year, eventDay.month - 1, eventDay.day) - Date.UTC(today.year, today.month - 1, today.day)) / DAY_MS)
     }
+  };
+}
 
-    // Ensure automatic responses are enabled
-    if (msgCfg.turnon) {
-      if (Array.isArray(msgCfg.automaticResponses) && msgCfg.automaticResponses.length > 0) {
-        // Select a random automatic response
-        const randomRespIndex = Math.floor(Math.random() * msgCfg.automaticResponses.length);
-        const randomResp = msgCfg.automaticResponses[randomRespIndex];
-        let responseContent = randomResp.content;
-        let files = [];
+function renderTemplate(template, context) {
+  return template
+    .replace(TEMPLATE_CONDITIONAL_REGEX, (match, condition, thenPart, elsePart = '') =>
+      context.conditions[condition] ? thenPart : elsePart)
+    .replace(TEMPLATE_TOKEN_REGEX, (match, token) => {
+      if (token.startsWith('channel:')) return `<#${token.slice('channel:'.length)}>`;
+      return Object.prototype.hasOwnProperty.call(context.values, token) ? String(context.values[token]) : match;
+    });
+}
 
-        // If images are enabled, select a random image and attach it
-        if (msgCfg.imageturnon && Array.isArray(msgCfg.Images) && msgCfg.Images.length > 0) {
-          const randomImgIndex = Math.floor(Math.random() * msgCfg.Images.length);
-          const randomImg = msgCfg.Images[randomImgIndex];
+// Discord's limits, checked on the rendered text since placeholders and conditionals change the length
+const MESSAGE_CONTENT_MAX_LENGTH = 2000;
+const EMBED_TEXT_LIMITS = { title: 256, description: 4096, fieldName: 256, fieldValue: 1024, footer: 2048, total: 6000 };
 
-          // Add the image URL to the files array
-          files.push(randomImg.Imgurl);
-        }
+function checkRenderedLength(label, text, maxLength) {
+  if (text.length > maxLength) {
+    throw new Error(`${label} is ${text.length} characters after rendering, Discord allows ${maxLength}`);
+  }
+}
 
-        try {
-          // Fetch the response channel
-          const responseChannel = await client.channels.fetch(msgCfg.responseChannelId);
-          if (!responseChannel || !responseChannel.isTextBased()) {
-            console.error(`Response channel invalid for ${msgCfg.name}`);
-            return;
-          }
+// Builds an EmbedBuilder from an embed definition, rendering its text as templates.
+// Text that renders empty (e.g. a conditional that does not apply) is left out,
+// Discord rejects empty embed text. Returns null if nothing is left, throws if
+// the rendered text is too long.
+function buildEmbed(embedDef, context, imageUrl = null) {
+  const render = text => {
+    const rendered = text ? renderTemplate(text, context) : '';
+    return rendered.trim().length > 0 ? rendered : null;
+  };
+  const title = render(embedDef.title);
+  const description = render(embedDef.description);
+  const fields = (Array.isArray(embedDef.fields) ? embedDef.fields : [])
+    .map(field => ({ name: render(field.name), value: render(field.value), inline: Boolean(field.inline) }))
+    .filter(field => field.name && field.value);
+  const footer = typeof embedDef.footer === 'string' ? { text: embedDef.footer } : embedDef.footer;
+  const footerText = footer ? render(footer.text) : null;
 
-          // Send the automatic response with or without attachments
-          if (files.length > 0) {
-            await responseChannel.send({ content: responseContent, files: files });
-          } else {
-            await responseChannel.send(responseContent);
-          }
+  if (title) checkRenderedLength('embed title', title, EMBED_TEXT_LIMITS.title);
+  if (description) checkRenderedLength('embed description', description, EMBED_TEXT_LIMITS.description);
+  fields.forEach((field, i) => {
+    checkRenderedLength(`embed field ${i} name`, field.name, EMBED_TEXT_LIMITS.fieldName);
+    checkRenderedLength(`embed field ${i} value`, field.value, EMBED_TEXT_LIMITS.fieldValue);
+  });
+  if (footerText) checkRenderedLength('embed footer', footerText, EMBED_TEXT_LIMITS.footer);
+  const allText = [title, description, footerText, ...fields.flatMap(field => [field.name, field.value])].filter(Boolean).join('');
+  checkRenderedLength('embed', allText, EMBED_TEXT_LIMITS.total);
+  if (!allText && !imageUrl && !embedDef.image && !embedDef.thumbnail) return null;
 
-          console.log(`Sent auto-response for "${msgCfg.name}" to #${responseChannel.name}.`);
-        } catch (error) {
-          console.error(`Error sending auto-response for ${msgCfg.name}:`, error);
-        }
-      } else {
-        console.error(`No automaticResponses defined for ${msgCfg.name}.`);
-      }
-    }
-  }
-});
+  const embed = new EmbedBuilder();
+  if (title) embed.setTitle(title);
+  if (description) embed.setDescription(description);
+  if (embedDef.color !== undefined) embed.setColor(typeof embedDef.color === 'string' ? embedDef.color : Number(embedDef.color));
+  if (embedDef.url) embed.setURL(embedDef.url);
+  if (fields.length > 0) embed.addFields(fields);
+  if (footerText) embed.setFooter({ text: footerText, iconURL: footer.iconUrl });
+  if (embedDef.thumbnail) embed.setThumbnail(embedDef.thumbnail);
+  if (imageUrl || embedDef.image) embed.setImage(imageUrl || embedDef.image);
+  if (embedDef.timestamp) embed.setTimestamp(embedDef.timestamp === true ? new Date() : new Date(embedDef.timestamp));
+  return embed;
+}
 
 /* =============================
-   Welcome message for new members
+   Scheduled Message Schema
+   - each field maps to a validator returning an error string (or null)
 ============================= */
-client.on('guildMemberAdd', async (member) => {
-  try {
-    if (!WELCOME_CHANNEL_ID) {
-      console.error('WELCOME_CHANNEL_ID not set in .env');
-      return;
-    }
-    const channel = await member.guild.channels.fetch(WELCOME_CHANNEL_ID);
-    if (!channel || !channel.isTextBased()) {
-      console.error('Welcome channel not found or is not a text channel.');
-      return;
-    }
-    const welcomeEmbed = new EmbedBuilder()
-      .setTitle('Welcome!')
-      .setDescription(`Hello ${member.user}, welcome to **${member.guild.name}**!`)
-      .setThumbnail(member.user.displayAvatarURL({ dynamic: true }))
-      .setColor('#00FF00');
-    await channel.send({ embeds: [welcomeEmbed] });
-  } catch (error) {
-    console.error('Error sending welcome message:', error);
-  }
-});
+const SNOWFLAKE_REGEX = /^\d{17,20}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d):([0-5]\d)$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
-/* =============================
-   Utility: sanitizeChannelName
-============================= */
-function sanitizeChannelName(name) {
-  return name.replace(/[^a-zA-Z0-9-_]/g, '').toLowerCase();
+function isIntegerInRange(value, min, max) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value)) {
+    const num = Number(value);
+    return num >= min && num <= max;
+  }
+  return false;
 }
 
-/* =============================
-   Utility: getChannelList, saveChannelList
-   for config.json
-============================= */
-function getChannelList() {
-  const configFilePath = path.join(process.cwd(), 'config.json');
-  if (fs.existsSync(configFilePath)) {
-    const configData = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
-    return configData.channelIds || [];
-  } else {
-    return [];
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
   }
 }
 
-function saveChannelList(channelIds) {
-  const configFilePath = path.join(process.cwd(), 'config.json');
-  const configData = { channelIds };
-  fs.writeFileSync(configFilePath, JSON.stringify(configData, null, 2));
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
 }
 
-/* =============================
-   Discord command handler
-============================= */
-client.on('messageCreate', async (message) => {
-  if (message.author.bot) return;
+function isValidDateKey(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+  const { year, month, day } = parseDateKey(value);
+  return month >= 1 && month <= 12 && day >= 1 && day <= getDaysInMonth(year, month);
+}
 
-  if (message.content.startsWith('!pics ')) {
-    await handleUpdateImagesCommand(message);
-    return;
+function isValidCronExpression(value) {
+  if (typeof value !== 'string' || !cron.validate(value)) return false;
+  try {
+    parseCronExpression(value);
+    return true;
+  } catch (err) {
+    return false;
   }
+}
 
-  if (message.content.startsWith('!picsall')) {
-    await handleUpdateAllImagesCommand(message);
-    return;
+const MISSED_RUN_POLICIES = ['catchup', 'skip', 'notify'];
+
+const rangeField = (min, max) => value =>
+  isIntegerInRange(value, min, max) ? null : `must be an integer between ${min} and ${max}`;
+
+const timeOfDayFields = {
+  hour: { required: true, validate: rangeField(0, 23) },
+  minutes: { required: true, validate: rangeField(0, 59) },
+  seconds: { required: true, validate: rangeField(0, 59) }
+};
+
+const dayOfTheWeekField = value =>
+  isIntegerInRange(value, 0, 6) ? null : 'must be a day of the week between 0 (Sunday) and 6 (Saturday)';
+
+// Shared by every recurring type
+const recurrenceFields = {
+  startdate: { validate: value => isValidDateKey(value) ? null : 'must be a date in YYYY-MM-DD format' },
+  enddate: { validate: value => isValidDateKey(value) ? null : 'must be a date in YYYY-MM-DD format' },
+  maxoccurrences: { validate: rangeField(1, 100000) },
+  daybefore: { validate: rangeField(0, 365) }
+};
+
+const scheduledMessageSchema = {
+  common: {
+    id: { validate: value => (typeof value === 'string' && value.length > 0) ? null : 'must be a non-empty string' },
+    type: { required: true, validate: value => SCHEDULED_MESSAGE_TYPES.includes(value) ? null : `must be one of: ${SCHEDULED_MESSAGE_TYPES.join(', ')}` },
+    name: { required: true, validate: value => (typeof value === 'string' && value.trim().length > 0) ? null : 'must be a non-empty string' },
+    turnon: { required: true, validate: value => typeof value === 'boolean' ? null : 'must be a boolean' },
+    imageturnon: { validate: value => typeof value === 'boolean' ? null : 'must be a boolean' },
+    channelId: { required: true, validate: value => SNOWFLAKE_REGEX.test(value) ? null : 'must be a Discord channel ID (17-20 digits)' },
+    responseChannelId: { validate: value => SNOWFLAKE_REGEX.test(value) ? null : 'must be a Discord channel ID (17-20 digits)' },
+    roleId: { validate: value => typeof value === 'string' ? null : 'must be a string' },
+    timezone: { validate: value => (typeof value === 'string' && isValidTimezone(value)) ? null : 'must be a valid IANA timezone (e.g. Europe/Stockholm)' },
+    messageContent: { validate: value => {
+      if (typeof value !== 'string' || value.trim().length === 0) return 'must be a non-empty string';
+      return findTemplateError(value, TEMPLATE_MESSAGE_PLACEHOLDERS);
+    } },
+    missedrunpolicy: { validate: value => MISSED_RUN_POLICIES.includes(value) ? null : `must be one of: ${MISSED_RUN_POLICIES.join(', ')}` },
+    gracewindowminutes: { validate: rangeField(0, 10080) },
+    embed: { validate: value => validateEmbed(value, TEMPLATE_MESSAGE_PLACEHOLDERS) },
+    postimage: { validate: (value, msg) => {
+      if (value === 'random') return null;
+      const imageCount = Array.isArray(msg.Images) ? msg.Images.length : 0;
+      return isIntegerInRange(value, 0, Math.max(imageCount - 1, 0)) && imageCount > 0
+        ? null
+        : 'must be "random" or the index of an entry in Images';
+    } },
+    automaticResponses: { validate: validateAutomaticResponses },
+    Images: { validate: validateImages }
+  },
+  daily: {
+    ...timeOfDayFields,
+    weekdaysonly: { validate: value => typeof value === 'boolean' ? null : 'must be a boolean' },
+    ...recurrenceFields
+  },
+  weekly: {
+    ...timeOfDayFields,
+    dayoftheweek: { required: true, validate: dayOfTheWeekField },
+    interval: { validate: rangeField(1, 52) },
+    ...recurrenceFields
+  },
+  monthly: {
+    ...timeOfDayFields,
+    dayofthemonth: { validate: rangeField(1, 31) },
+    weekofthemonth: { validate: value => (value === 'last' || isIntegerInRange(value, 1, 5)) ? null : 'must be 1-5 or "last"' },
+    dayoftheweek: { validate: dayOfTheWeekField },
+    ...recurrenceFields
+  },
+  cron: {
+    cron: { required: true, validate: value => isValidCronExpression(value) ? null : 'must be a valid cron expression (5 or 6 fields)' },
+    ...recurrenceFields
+  },
+  date: {
+    year: { required: true, validate: rangeField(1970, 9999) },
+    month: { required: true, validate: rangeField(1, 12) },
+    day: { required: true, validate: (value, msg) => {
+      const daysInMonth = new Date(Number(msg.year), Number(msg.month), 0).getDate() || 31;
+      return isIntegerInRange(value, 1, daysInMonth) ? null : `must be a valid day of the month (1-${daysInMonth})`;
+    } },
+    time: { required: true, validate: value => (typeof value === 'string' && TIME_REGEX.test(value)) ? null : 'must be a time in HH:MM:SS format' },
+    daybefore: { validate: rangeField(0, 365) }
   }
+};
 
-  if (message.content.startsWith('!cc-pic-channel-add')) {
-    await handleAddChannelCommand(message);
-    return;
+const SCHEDULED_MESSAGE_TYPES = Object.keys(scheduledMessageSchema).filter(type => type !== 'common');
+const RECURRING_MESSAGE_TYPES = ['daily', 'weekly', 'monthly', 'cron'];
+
+// Rules spanning several fields, run after the per-field validators
+const scheduledMessageCrossFieldRules = {
+  weekly: msg => (Number(msg.interval) > 1 && !msg.startdate)
+    ? [{ field: 'startdate', error: 'is required when interval is greater than 1' }]
+    : [],
+  monthly: msg => {
+    const hasDayOfMonth = msg.dayofthemonth !== undefined;
+    const hasWeekOfMonth = msg.weekofthemonth !== undefined;
+    if (hasDayOfMonth === hasWeekOfMonth) {
+      return [{ field: 'dayofthemonth', error: 'exactly one of dayofthemonth or weekofthemonth is required' }];
+    }
+    if (hasWeekOfMonth && msg.dayoftheweek === undefined) {
+      return [{ field: 'dayoftheweek', error: 'is required with weekofthemonth' }];
+    }
+    return [];
   }
+};
 
-  if (message.content.startsWith('!cc-pic-channel-remove')) {
-    await handleRemoveChannelCommand(message);
-    return;
+// Nested validators return { field, error } so the error points at the exact array entry
+function validateAutomaticResponses(value) {
+  if (!Array.isArray(value)) return 'must be an array';
+  for (let i = 0; i < value.length; i++) {
+    const resp = value[i];
+    if (!resp || typeof resp !== 'object') return { field: `[${i}]`, error: 'must be an object' };
+    if (resp.title !== undefined && typeof resp.title !== 'string') return { field: `[${i}].title`, error: 'must be a string' };
+    if (resp.embed !== undefined) {
+      const embedError = validateEmbed(resp.embed, TEMPLATE_RESPONSE_PLACEHOLDERS);
+      if (typeof embedError === 'string') return { field: `[${i}].embed`, error: embedError };
+      if (embedError) return { field: `[${i}].embed${embedError.field}`, error: embedError.error };
+    } else if (resp.content === undefined) {
+      return { field: `[${i}].content`, error: 'is required without an embed' };
+    }
+    if (resp.content !== undefined) {
+      if (typeof resp.content !== 'string' || resp.content.trim().length === 0) return { field: `[${i}].content`, error: 'must be a non-empty string' };
+      const templateError = findTemplateError(resp.content, TEMPLATE_RESPONSE_PLACEHOLDERS);
+      if (templateError) return { field: `[${i}].content`, error: templateError };
+    }
   }
+  return null;
+}
 
-  if (message.content === '!cc-pic-channel-ls') {
-    await handleListChannelsCommand(message);
-    return;
+function validateImages(value) {
+  if (!Array.isArray(value)) return 'must be an array';
+  for (let i = 0; i < value.length; i++) {
+    const img = value[i];
+    if (!img || typeof img !== 'object') return { field: `[${i}]`, error: 'must be an object' };
+    if (!isHttpUrl(img.Imgurl)) return { field: `[${i}].Imgurl`, error: 'must be an http(s) URL' };
   }
-});
+  return null;
+}
 
-client.once('ready', async () => {
-  console.log(`Logged in as ${client.user.tag}`);
+const EMBED_COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
 
-  // ------------------------------
-  // Fetch Text Channels from all Guilds
-  // ------------------------------
-  const channels = [];
+// Text fields of an embed are templates too; limits follow Discord's embed limits
+function validateEmbed(value, placeholders) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
 
-  // Iterate over each guild the bot is in
-  for (const guild of client.guilds.cache.values()) {
-    try {
+  // Lengths are checked when the text is rendered, a template can render shorter or longer than it is
+  const checkText = (field, text) => {
+    if (typeof text !== 'string' || text.trim().length === 0) return { field, error: 'must be a non-empty string' };
+    const templateError = findTemplateError(text, placeholders);
+    return templateError ? { field, error: templateError } : null;
+  };
+
+  if (value.title === undefined && value.description === undefined && value.fields === undefined && value.image === undefined) {
+    return 'needs at least a title, description, fields or image';
+  }
+  if (value.title !== undefined) {
+    const error = checkText('.title', value.title);
+    if (error) return error;
+  }
+  if (value.description !== undefined) {
+    const error = checkText('.description', value.description);
+    if (error) return error;
+  }
+  if (value.color !== undefined && !EMBED_COLOR_REGEX.test(value.color) && !isIntegerInRange(value.color, 0, 0xFFFFFF)) {
+    return { field: '.color', error: 'must be a hex color like #00FF00 or an integer' };
+  }
+  if (value.fields !== undefined) {
+    if (!Array.isArray(value.fields) || value.fields.length > 25) return { field: '.fields', error: 'must be an array of at most 25 fields' };
+    for (let i = 0; i < value.fields.length; i++) {
+      const embedField = value.fields[i];
+      if (!embedField || typeof embedField !== 'object') return { field: `.fields[${i}]`, error: 'must be an object' };
+      const error = checkText(`.fields[${i}].name`, embedField.name) || checkText(`.fields[${i}].value`, embedField.value);
+      if (error) return error;
+      if (embedField.inline !== undefined && typeof embedField.inline !== 'boolean') return { field: `.fields[${i}].inline`, error: 'must be a boolean' };
+    }
+  }
+  if (value.footer !== undefined) {
+    const footer = typeof value.footer === 'string' ? { text: value.footer } : value.footer;
+    if (!footer || typeof footer !== 'object') return { field: '.footer', error: 'must be a string or { text, iconUrl }' };
+    const error = checkText('.footer.text', footer.text);
+    if (error) return error;
+    if (footer.iconUrl !== undefined && !isHttpUrl(footer.iconUrl)) return { field: '.footer.iconUrl', error: 'must be an http(s) URL' };
+  }
+  for (const urlField of ['thumbnail', 'image', 'url']) {
+    if (value[urlField] !== undefined && !isHttpUrl(value[urlField])) {
+      return { field: `.${urlField}`, error: 'must be an http(s) URL' };
+    }
+  }
+  if (value.timestamp !== undefined && value.timestamp !== true && isNaN(new Date(value.timestamp).getTime())) {
+    return { field: '.timestamp', error: 'must be true (send time) or an ISO 8601 date' };
+  }
+  return null;
+}
+
+// Returns a list of { field, error } entries, empty if the message is valid
+function validateScheduledMessage(msg) {
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+    return [{ field: '', error: 'must be an object' }];
+  }
+  const errors = [];
+  const fields = { ...scheduledMessageSchema.common };
+  if (SCHEDULED_MESSAGE_TYPES.includes(msg.type)) {
+    Object.assign(fields, scheduledMessageSchema[msg.type]);
+  }
+
+  for (const [field, rule] of Object.entries(fields)) {
+    const value = msg[field];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push({ field, error: 'is required' });
+      continue;
+    }
+    const result = rule.validate(value, msg);
+    if (typeof result === 'string') {
+      errors.push({ field, error: result });
+    } else if (result) {
+      errors.push({ field: `${field}${result.field}`, error: result.error });
+    }
+  }
+
+  if (msg.messageContent === undefined && msg.embed === undefined) {
+    errors.push({ field: 'messageContent', error: 'is required without an embed' });
+  }
+  if (errors.length === 0 && scheduledMessageCrossFieldRules[msg.type]) {
+    errors.push(...scheduledMessageCrossFieldRules[msg.type](msg));
+  }
+  if (errors.length === 0 && msg.startdate && msg.enddate && msg.enddate < msg.startdate) {
+    errors.push({ field: 'enddate', error: 'must not be before startdate' });
+  }
+  return errors;
+}
+
+// Validates a whole file's worth of messages, prefixing fields with the array index
+function validateScheduledMessages(messages) {
+  if (!Array.isArray(messages)) {
+    return [{ field: '', error: 'must be an array of scheduled messages' }];
+  }
+  return messages.flatMap((msg, index) =>
+    validateScheduledMessage(msg).map(({ field, error }) => ({
+      field: field ? `[${index}].${field}` : `[${index}]`,
+      error
+    }))
+  );
+}
+
+function formatValidationErrors(errors) {
+  return errors.map(({ field, error }) => `${field} ${error}`.trim()).join('; ');
+}
+
+/* =============================
+   Scheduled Message IDs + file helpers
+============================= */
+// Give every entry without an id a persistent one, returns true if anything changed
+function ensureScheduledMessageIds(messages) {
+  let changed = false;
+  for (const msg of messages) {
+    if (msg && typeof msg === 'object' && !msg.id) {
+      msg.id = crypto.randomUUID();
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function readScheduledMessagesFile() {
+  return JSON.parse(fs.readFileSync(scheduledMessagesFilePath, 'utf8'));
+}
+
+function writeScheduledMessagesFile(messages) {
+  fs.writeFileSync(scheduledMessagesFilePath, JSON.stringify(messages, null, 2));
+}
+
+// Quoted strong ETag derived from the message contents
+function scheduledMessageEtag(msg) {
+  return `"${crypto.createHash('sha1').update(JSON.stringify(msg)).digest('hex')}"`;
+}
+
+// Load scheduled messages into memory
+let scheduledMessages = [];
+try {
+  scheduledMessages = readScheduledMessagesFile();
+  if (Array.isArray(scheduledMessages) && ensureScheduledMessageIds(scheduledMessages)) {
+    writeScheduledMessagesFile(scheduledMessages);
+    console.log('Assigned ids to scheduled messages without one.');
+  }
+  const validationErrors = validateScheduledMessages(scheduledMessages);
+  if (validationErrors.length > 0) {
+    console.warn(`scheduledMessages.json has invalid entries, they will be skipped: ${formatValidationErrors(validationErrors)}`);
+  }
+} catch (err) {
+  console.error('Error reading scheduledMessages.json:', err);
+  scheduledMessages = [];
+}
+
+// Keep references to cron jobs/timeouts for reloading
+let cronJobs = [];
+
+/* =============================
+   Sent Message Store
+   - sentMessages.json keeps every posted scheduled message, so reactions
+     keep working after a restart
+============================= */
+const sentMessagesFilePath = path.join(process.cwd(), 'sentMessages.json');
+const SENT_MESSAGE_RETENTION_DAYS = Number(process.env.SENT_MESSAGE_RETENTION_DAYS) || 30;
+
+// Map to store messageID => { scheduledMessageId, name, channelId, kind, eventAt, sentAt, respondedAt }
+const sentMessages = new Map();
+
+function saveSentMessages() {
+  try {
+    fs.writeFileSync(sentMessagesFilePath, JSON.stringify(Object.fromEntries(sentMessages), null, 2));
+  } catch (err) {
+    console.error('Error writing sentMessages.json:', err);
+  }
+}
+
+// Drop entries older than the retention window, returns true if anything was removed
+function pruneSentMessages() {
+  const cutoff = Date.now() - SENT_MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let pruned = false;
+  for (const [messageId, record] of sentMessages) {
+    if (new Date(record.sentAt).getTime() < cutoff) {
+      sentMessages.delete(messageId);
+      pruned = true;
+    }
+  }
+  return pruned;
+}
+
+function loadSentMessages() {
+  if (!fs.existsSync(sentMessagesFilePath)) return;
+  try {
+    const stored = JSON.parse(fs.readFileSync(sentMessagesFilePath, 'utf8'));
+    for (const [messageId, record] of Object.entries(stored)) {
+      sentMessages.set(messageId, record);
+    }
+    if (pruneSentMessages()) saveSentMessages();
+    console.log(`Loaded ${sentMessages.size} sent message(s) from sentMessages.json`);
+  } catch (err) {
+    console.error('Error reading sentMessages.json:', err);
+  }
+}
+
+function recordSentMessage(sentMessage, msg, { kind, eventAt }) {
+  sentMessages.set(sentMessage.id, {
+    scheduledMessageId: msg.id,
+    name: msg.name,
+    channelId: sentMessage.channelId,
+    kind,
+    eventAt: eventAt.toISOString(),
+    sentAt: new Date().toISOString(),
+    respondedAt: null
+  });
+  pruneSentMessages();
+  saveSentMessages();
+}
+
+function markSentMessageResponded(messageId) {
+  const record = sentMessages.get(messageId);
+  if (!record) return;
+  record.respondedAt = new Date().toISOString();
+  saveSentMessages();
+}
+
+// Resolve the current definition, so edits made after sending still apply
+function findScheduledMessageForSent(record) {
+  return scheduledMessages.find(msg => msg.id === record.scheduledMessageId);
+}
+
+loadSentMessages();
+
+/* =============================
+   Schedule State
+   - scheduleState.json keeps, per message id, the occurrence counter
+     and the last/next run times used to detect missed runs
+============================= */
+const scheduleStateFilePath = path.join(process.cwd(), 'scheduleState.json');
+
+function getScheduleState() {
+  if (fs.existsSync(scheduleStateFilePath)) {
+    try {
+      return JSON.parse(fs.readFileSync(scheduleStateFilePath, 'utf8'));
+    } catch (err) {
+      console.error('Error reading scheduleState.json:', err);
+    }
+  }
+  return {};
+}
+
+function saveScheduleState(state) {
+  fs.writeFileSync(scheduleStateFilePath, JSON.stringify(state, null, 2));
+}
+
+function getMessageState(msg) {
+  return getScheduleState()[msg.id] || { occurrences: 0 };
+}
+
+function incrementOccurrences(msg) {
+  const state = getScheduleState();
+  const msgState = state[msg.id] || { occurrences: 0 };
+  msgState.occurrences += 1;
+  state[msg.id] = msgState;
+  saveScheduleState(state);
+}
+
+function updateMessageState(msg, changes) {
+  const state = getScheduleState();
+  state[msg.id] = { occurrences: 0, ...state[msg.id], ...changes };
+  saveScheduleState(state);
+}
+
+function hasReachedMaxOccurrences(msg) {
+  return msg.maxoccurrences !== undefined && getMessageState(msg).occurrences >= Number(msg.maxoccurrences);
+}
+
+// Called whenever a message actually fires
+function recordRun(msg) {
+  const now = new Date();
+  const nextRun = getNextRun(msg, now);
+  updateMessageState(msg, {
+    lastRunAt: now.toISOString(),
+    nextRunAt: nextRun ? nextRun.at.toISOString() : null
+  });
+}
+
+/* =============================
+   Recurrence Rules
+   - each recurring type becomes a node-cron expression plus a date
+     filter checked in the message's timezone when the job fires
+============================= */
+function getRecurrenceCron(msg) {
+  const time = `${msg.seconds} ${msg.minutes} ${msg.hour}`;
+  switch (msg.type) {
+    case 'daily':
+      return `${time} * * ${msg.weekdaysonly ? '1-5' : '*'}`;
+    case 'weekly':
+      return `${time} * * ${msg.dayoftheweek}`;
+    case 'monthly':
+      return msg.weekofthemonth !== undefined
+        ? `${time} * * ${msg.dayoftheweek}`
+        : `${time} ${msg.dayofthemonth} * *`;
+    case 'cron':
+      return msg.cron.trim();
+    default:
+      return null;
+  }
+}
+
+// Does the recurring message have an occurrence on this calendar date?
+function isRecurrenceDate(msg, date) {
+  const dateKey = formatDateKey(date);
+  if (msg.startdate && dateKey < msg.startdate) return false;
+  if (msg.enddate && dateKey > msg.enddate) return false;
+
+  const { daysOfMonth, months, daysOfWeek } = parseCronExpression(getRecurrenceCron(msg));
+  if (!daysOfMonth.has(date.day) || !months.has(date.month) || !daysOfWeek.has(getWeekday(date))) {
+    return false;
+  }
+
+  if (msg.type === 'weekly' && Number(msg.interval || 1) > 1) {
+    return getWeeksBetween(parseDateKey(msg.startdate), date) % Number(msg.interval) === 0;
+  }
+  if (msg.type === 'monthly' && msg.weekofthemonth !== undefined) {
+    if (msg.weekofthemonth === 'last') {
+      return date.day + 7 > getDaysInMonth(date.year, date.month);
+    }
+    return Math.ceil(date.day / 7) === Number(msg.weekofthemonth);
+  }
+  return true;
+}
+
+// Every run of a message in (from, to], events and daybefore reminders, sorted by time.
+// Each run is { at, kind: 'event' | 'reminder', eventAt }.
+function getMessageRuns(msg, from, to, limit = Infinity) {
+  if (msg.type === 'date') {
+    const { eventDate, reminderDate } = getDateMessageTimes(msg);
+    const runs = [];
+    if (reminderDate) runs.push({ at: reminderDate, kind: 'reminder', eventAt: eventDate });
+    runs.push({ at: eventDate, kind: 'event', eventAt: eventDate });
+    return runs.filter(run => run.at > from && run.at <= to).slice(0, limit);
+  }
+
+  const timezone = msg.timezone || DEFAULT_TIMEZONE;
+  const { hours, minutes, seconds } = parseCronExpression(getRecurrenceCron(msg));
+  const sortNumbers = values => [...values].sort((a, b) => a - b);
+  const times = [];
+  for (const hour of sortNumbers(hours)) {
+    for (const minute of sortNumbers(minutes)) {
+      for (const second of sortNumbers(seconds)) {
+        times.push({ hour, minute, second });
+      }
+    }
+  }
+
+  const daysBefore = parseInt(msg.daybefore, 10) || 0;
+  const remaining = msg.maxoccurrences !== undefined
+    ? Number(msg.maxoccurrences) - getMessageState(msg).occurrences
+    : Infinity;
+  const runs = [];
+  let eventCount = 0;
+  const fromParts = getZonedDateParts(from, timezone);
+  let date = { year: fromParts.year, month: fromParts.month, day: fromParts.day };
+  const firstDateKey = formatDateKey(date);
+  const lastDateKey = formatDateKey(getZonedDateParts(to, timezone));
+  // Times of the first day well before `from` are skipped without converting them (2 hours covers DST shifts)
+  const toSeconds = ({ hour, minute, second }) => hour * 3600 + minute * 60 + second;
+  const firstDaySkipBefore = toSeconds(fromParts) - 2 * 3600;
+
+  while (formatDateKey(date) <= lastDateKey && runs.length < limit && eventCount < remaining) {
+    const kinds = [];
+    if (daysBefore > 0 && isRecurrenceDate(msg, addDays(date, daysBefore))) {
+      kinds.push({ kind: 'reminder', eventDay: addDays(date, daysBefore) });
+    }
+    if (isRecurrenceDate(msg, date)) {
+      kinds.push({ kind: 'event', eventDay: date });
+    }
+    const isFirstDay = formatDateKey(date) === firstDateKey;
+    const toInstant = kinds.length > 0 ? getDayInstantConverter(date, timezone) : null;
+    for (const time of kinds.length > 0 ? times : []) {
+      if (isFirstDay && toSeconds(time) < firstDaySkipBefore) continue;
+      const at = toInstant(time);
+      // Times are sorted, everything after this one is past `to` as well
+      if (at > to) return runs.slice(0, limit);
+      if (at <= from) continue;
+      for (const { kind, eventDay } of kinds) {
+        if (kind === 'event' && ++eventCount > remaining) break;
+        runs.push({ at, kind, eventAt: kind === 'event' ? at : zonedTimeToDate({ ...eventDay, ...time }, timezone) });
+      }
+      if (runs.length >= limit || eventCount >= remaining) break;
+    }
+    date = addDays(date, 1);
+  }
+  return runs.slice(0, limit);
+}
+
+// Converts wall-clock times of one day to instants. Without a DST change that
+// day the offset is the same for every time, which is much cheaper than zonedTimeToDate
+function getDayInstantConverter(date, timezone) {
+  const dayStart = zonedTimeToDate(date, timezone);
+  const offset = getTimezoneOffsetMs(dayStart, timezone);
+  if (offset !== getTimezoneOffsetMs(new Date(dayStart.getTime() + DAY_MS - 1000), timezone)) {
+    return time => zonedTimeToDate({ ...date, ...time }, timezone);
+  }
+  return ({ hour, minute, second }) => new Date(Date.UTC(date.year, date.month - 1, date.day, hour, minute, second) - offset);
+}
+
+const NEXT_RUN_HORIZON_DAYS = 400;
+
+function getNextRun(msg, after = new Date()) {
+  const horizon = new Date(after.getTime() + NEXT_RUN_HORIZON_DAYS * DAY_MS);
+  return getMessageRuns(msg, after, horizon, 1)[0] || null;
+}
+
+// Cron jobs for a recurring message, plus a reminder job when daybefore is set
+function scheduleRecurringMessage(msg) {
+  const timezone = msg.timezone || DEFAULT_TIMEZONE;
+  const cronStr = getRecurrenceCron(msg);
+  const label = `[${msg.type.toUpperCase()}]`;
+
+  const job = cron.schedule(cronStr, () => {
+    const today = getZonedDateParts(new Date(), timezone);
+    if (!isRecurrenceDate(msg, today) || hasReachedMaxOccurrences(msg)) return;
+    incrementOccurrences(msg);
+    recordRun(msg);
+    sendScheduledMessage(msg);
+  }, { timezone });
+  cronJobs.push(job);
+  console.log(`${label} Scheduled: ${msg.name} => "${cronStr}" (TZ: ${timezone})`);
+
+  const daysBefore = parseInt(msg.daybefore, 10);
+  if (daysBefore > 0) {
+    // Same time of day, every day; the filter checks whether an occurrence is daysBefore away
+    const reminderCron = `${cronStr.split(/\s+/).slice(0, -3).join(' ')} * * *`;
+    const reminderJob = cron.schedule(reminderCron, () => {
+      const now = getZonedDateParts(new Date(), timezone);
+      const eventDate = addDays(now, daysBefore);
+      if (!isRecurrenceDate(msg, eventDate) || hasReachedMaxOccurrences(msg)) return;
+      console.log(`${label} Reminder (daybefore: ${daysBefore}) for ${msg.name}, event on ${formatDateKey(eventDate)}`);
+      recordRun(msg);
+      const eventAt = zonedTimeToDate({ ...eventDate, hour: now.hour, minute: now.minute, second: now.second }, timezone);
+      sendScheduledMessage(msg, { kind: 'reminder', eventAt });
+    }, { timezone });
+    cronJobs.push(reminderJob);
+    console.log(`${label} Scheduled reminder: ${msg.name} (daybefore: ${daysBefore}) => "${reminderCron}" (TZ: ${timezone})`);
+  }
+}
+
+/* =============================
+   One-off Dates
+   - resolved in the message's own timezone
+   - timers re-armed in chunks, so events months ahead still fire on time
+============================= */
+const MAX_TIMEOUT_MS = 2 ** 31 - 1; // setTimeout fires immediately above this (~24.8 days)
+
+// Like setTimeout for an absolute date, the returned handle fits the cronJobs cleanup
+function scheduleAt(targetDate, callback) {
+  const handle = { timeoutId: null };
+  const arm = () => {
+    const remaining = targetDate.getTime() - Date.now();
+    if (remaining > MAX_TIMEOUT_MS) {
+      handle.timeoutId = setTimeout(arm, MAX_TIMEOUT_MS);
+    } else {
+      handle.timeoutId = setTimeout(callback, Math.max(remaining, 0));
+    }
+  };
+  arm();
+  return handle;
+}
+
+// Event instant of a "date" message, plus its daybefore reminder (same wall-clock time)
+function getDateMessageTimes(msg) {
+  const timezone = msg.timezone || DEFAULT_TIMEZONE;
+  const [hour, minute, second] = msg.time.split(':').map(Number);
+  const eventDay = { year: Number(msg.year), month: Number(msg.month), day: Number(msg.day) };
+  const eventDate = zonedTimeToDate({ ...eventDay, hour, minute, second }, timezone);
+
+  const daysBefore = parseInt(msg.daybefore, 10);
+  const reminderDate = daysBefore > 0
+    ? zonedTimeToDate({ ...addDays(eventDay, -daysBefore), hour, minute, second }, timezone)
+    : null;
+  return { timezone, eventDate, reminderDate, daysBefore };
+}
+
+function scheduleDateMessage(msg) {
+  const { timezone, eventDate, reminderDate, daysBefore } = getDateMessageTimes(msg);
+
+  function scheduleOneTimeMessage(targetDate, label = '', kind = 'event') {
+    const now = new Date();
+    if (targetDate > now) {
+      const handle = scheduleAt(targetDate, async () => {
+        recordRun(msg);
+        await sendScheduledMessage(msg, { kind, eventAt: eventDate });
+        console.log(`[ONE-TIME] Fired: ${msg.name} ${label} at ${new Date().toLocaleString()}`);
+      });
+      cronJobs.push(handle);
+      console.log(`[ONE-TIME] Scheduled: ${msg.name} ${label} => ${formatInTimezone(targetDate, timezone)}`);
+    } else {
+      console.log(`[ONE-TIME] Skipping ${msg.name} ${label}, date is in the past => ${formatInTimezone(targetDate, timezone)}`);
+    }
+  }
+
+  // Schedule main date
+  scheduleOneTimeMessage(eventDate);
+
+  // If daybefore > 0, schedule reminders
+  if (reminderDate) {
+    scheduleOneTimeMessage(reminderDate, `(daybefore: ${daysBefore})`, 'reminder');
+  }
+}
+
+/* =============================
+   Helper: Send a Scheduled Message
+============================= */
+// run: { kind: 'event' | 'reminder', eventAt } of the run being sent, used by the template.
+// A test run ({ test: true }) pings nobody and gets no reaction or auto-response.
+// Returns { sent, error }.
+async function sendScheduledMessage(msg, run = {}) {
+  try {
+    const channel = await client.channels.fetch(msg.channelId);
+    if (!channel || !channel.isTextBased()) {
+      console.error(`Channel not found or not text-based for ${msg.name}`);
+      return { sent: false, error: 'Channel not found or not text-based' };
+    }
+
+    const { kind = 'event', eventAt = new Date(), test = false } = run;
+    const templateContext = buildTemplateContext(msg, { kind, eventAt });
+    let finalMessageContent = msg.messageContent ? renderTemplate(msg.messageContent, templateContext) : '';
+    checkRenderedLength('messageContent', finalMessageContent, MESSAGE_CONTENT_MAX_LENGTH);
+    const postImage = pickPostImage(msg);
+
+    // Embed (with the post image) or plain text (with the post image attached)
+    const payload = {};
+    if (finalMessageContent.trim().length > 0) payload.content = finalMessageContent;
+    const embed = msg.embed ? buildEmbed(msg.embed, templateContext, postImage) : null;
+    if (embed) {
+      payload.embeds = [embed];
+    } else if (postImage) {
+      payload.files = [postImage];
+    }
+    if (test) payload.allowedMentions = { parse: [] };
+
+    // Send the message with or without attachments
+    let sentMessage;
+    if (payload.content || payload.embeds || payload.files) {
+      sentMessage = await channel.send(payload);
+    } else {
+      sentMessage = await channel.send("No message exist, please just report this to Arthur ahahaha, look line 200");
+    }
+
+    if (test) {
+      console.log(`[TEST] "${msg.name}" -> #${channel.name} at ${new Date().toLocaleString()}`);
+      return { sent: true, error: null };
+    }
+
+    // Persist the mapping so reactions survive restarts
+    recordSentMessage(sentMessage, msg, { kind, eventAt });
+
+    // React with ❤️
+    await sentMessage.react('❤️');
+
+    console.log(`[SENT] "${msg.name}" -> #${channel.name} at ${new Date().toLocaleString()}`);
+    return { sent: true, error: null };
+  } catch (error) {
+    console.error(`Error sending scheduled message for ${msg.name}:`, error);
+    return { sent: false, error: error.message };
+  }
+}
+
+// postimage: "random" or an index into Images, only used when imageturnon is set
+function pickPostImage(msg) {
+  if (msg.postimage === undefined || !msg.imageturnon || !Array.isArray(msg.Images) || msg.Images.length === 0) {
+    return null;
+  }
+  const index = msg.postimage === 'random'
+    ? Math.floor(Math.random() * msg.Images.length)
+    : Number(msg.postimage);
+  return msg.Images[index] ? msg.Images[index].Imgurl : null;
+}
+
+/* =============================
+   Helper: Notify Admins
+============================= */
+// Goes to the guild's admin channel, or ADMIN_CHANNEL_ID
+async function notifyAdmins(content, guildId = null) {
+  const adminChannelId = guildId ? getGuildSettings(guildId).adminChannelId : ADMIN_CHANNEL_ID;
+  if (!adminChannelId) {
+    console.warn(`No admin channel set${guildId ? ` for guild ${guildId}` : ''}, admin notification not sent: ${content}`);
+    return;
+  }
+  try {
+    const channel = await client.channels.fetch(adminChannelId);
+    if (!channel || !channel.isTextBased()) {
+      console.error('Admin channel not found or is not a text channel.');
+      return;
+    }
+    await channel.send(content);
+  } catch (error) {
+    console.error('Error sending admin notification:', error);
+  }
+}
+
+/* =============================
+   Upcoming Runs
+   - preview of every future run computed from scheduledMessages.json,
+     disabled messages included but flagged as skipped
+============================= */
+function getUpcomingRuns({ from = new Date(), to, channelId, guildId, limit = 100 } = {}) {
+  const until = to || new Date(from.getTime() + 30 * DAY_MS);
+  const messages = readScheduledMessagesFile();
+  const upcoming = [];
+
+  for (const msg of messages) {
+    if (validateScheduledMessage(msg).length > 0) continue;
+    if (channelId && msg.channelId !== channelId) continue;
+    if (guildId && getScheduledMessageGuildId(msg) !== guildId) continue;
+    const timezone = msg.timezone || DEFAULT_TIMEZONE;
+
+    for (const run of getMessageRuns(msg, from, until, limit)) {
+      upcoming.push({
+        id: msg.id,
+        name: msg.name,
+        type: msg.type,
+        kind: run.kind,
+        channelId: msg.channelId,
+        timezone,
+        at: run.at.toISOString(),
+        localTime: formatZonedIso(run.at, timezone),
+        eventAt: run.eventAt.toISOString(),
+        skipped: !msg.turnon,
+        skipReason: msg.turnon ? null : 'disabled'
+      });
+    }
+  }
+
+  return upcoming
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .slice(0, limit);
+}
+
+/* =============================
+   Missed Runs
+   - a stored nextRunAt in the past means the bot was down when it was due
+   - missedrunpolicy: "catchup" (default, latest run once within
+     gracewindowminutes), "skip" or "notify" (report to the guild's
+     admin channel)
+============================= */
+const DEFAULT_GRACE_WINDOW_MINUTES = 60;
+// A frequent cron after a long outage would otherwise enumerate millions of runs
+const MISSED_RUNS_SCAN_LIMIT = 1000;
+
+// The latest missed runs in (from, to], oldest first. truncated: more runs were
+// missed than MISSED_RUNS_SCAN_LIMIT, and only the latest ones are returned
+function getMissedRuns(msg, from, to) {
+  const runs = getMessageRuns(msg, from, to, MISSED_RUNS_SCAN_LIMIT);
+  if (runs.length < MISSED_RUNS_SCAN_LIMIT) return { runs, truncated: false };
+
+  // Move the window start forward until the window holds fewer runs than the limit
+  let low = runs[runs.length - 1].at.getTime();
+  let high = to.getTime();
+  let latestRuns = runs.slice(-1);
+  // First guess: a window half as long as the one the first runs took, then bisect
+  let mid = Math.max(low, high - Math.floor((runs[runs.length - 1].at - runs[0].at) / 2));
+  while (high - low > 1) {
+    const windowRuns = getMessageRuns(msg, new Date(mid), to, MISSED_RUNS_SCAN_LIMIT);
+    if (windowRuns.length === MISSED_RUNS_SCAN_LIMIT) {
+      low = mid;
+    } else if (windowRuns.length === 0) {
+      high = mid;
+    } else {
+      latestRuns = windowRuns;
+      break;
+    }
+    mid = Math.floor((low + high) / 2);
+  }
+  return { runs: latestRuns, truncated: true };
+}
+
+function handleMissedRuns(msg) {
+  const { nextRunAt } = getMessageState(msg);
+  const now = new Date();
+  if (!nextRunAt || new Date(nextRunAt) > now) return;
+
+  // nextRunAt itself is included in the window
+  const { runs: missedRuns, truncated } = getMissedRuns(msg, new Date(new Date(nextRunAt).getTime() - 1), now);
+  if (missedRuns.length === 0) return;
+
+  const timezone = msg.timezone || DEFAULT_TIMEZONE;
+  const policy = msg.missedrunpolicy || 'catchup';
+  const latestRun = missedRuns[missedRuns.length - 1];
+  const missedCount = truncated ? `more than ${MISSED_RUNS_SCAN_LIMIT}` : missedRuns.length;
+  console.log(`[MISSED] ${msg.name}: ${missedCount} run(s) missed since ${formatInTimezone(new Date(nextRunAt), timezone)}, policy: ${policy}`);
+
+  if (policy === 'catchup') {
+    const graceMs = Number(msg.gracewindowminutes ?? DEFAULT_GRACE_WINDOW_MINUTES) * 60 * 1000;
+    if (now - latestRun.at > graceMs) {
+      console.log(`[MISSED] ${msg.name}: latest missed run is outside the grace window, skipping.`);
+      return;
+    }
+    if (latestRun.kind === 'event' && RECURRING_MESSAGE_TYPES.includes(msg.type)) {
+      incrementOccurrences(msg);
+    }
+    recordRun(msg);
+    sendScheduledMessage(msg, latestRun);
+    console.log(`[MISSED] ${msg.name}: caught up the ${latestRun.kind} due ${formatInTimezone(latestRun.at, timezone)}`);
+  } else if (policy === 'notify') {
+    const runList = missedRuns
+      .slice(-10)
+      .map(run => `- ${run.kind} due ${formatInTimezone(run.at, timezone)}`)
+      .join('\n');
+    notifyAdmins(`**Missed scheduled message "${msg.name}"** (${missedCount} run(s) while the bot was offline):\n${runList}`, getScheduledMessageGuildId(msg));
+  }
+}
+
+/* =============================
+   Function: Schedule All Messages
+   - type: "daily" / "weekly" / "monthly" / "cron" => node-cron (+ daybefore)
+   - type: "date"   => scheduleAt timers (+ daybefore)
+============================= */
+function scheduleAllMessages(messages) {
+  // Stop existing tasks
+  cronJobs.forEach(job => {
+    if (job.stop) {
+      job.stop(); // Stop cron job
+    } else if (job.timeoutId) {
+      clearTimeout(job.timeoutId); // Clear timeout
+    }
+  });
+  cronJobs = [];
+
+  messages.forEach(msg => {
+    const validationErrors = validateScheduledMessage(msg);
+    if (validationErrors.length > 0) {
+      console.warn(`Invalid scheduled message ${msg && msg.name}, skipping: ${formatValidationErrors(validationErrors)}`);
+      return;
+    }
+
+    if (!msg.turnon) {
+      console.log(`Skipping disabled task: ${msg.name}`);
+      // Runs while disabled are not missed runs
+      updateMessageState(msg, { nextRunAt: null });
+      return;
+    }
+
+    handleMissedRuns(msg);
+
+    if (RECURRING_MESSAGE_TYPES.includes(msg.type)) {
+      scheduleRecurringMessage(msg);
+    }
+    else if (msg.type === 'date') {
+      scheduleDateMessage(msg);
+    }
+
+    const nextRun = getNextRun(msg);
+    updateMessageState(msg, { nextRunAt: nextRun ? nextRun.at.toISOString() : null });
+  });
+}
+
+// Re-read scheduledMessages.json and apply it, unless it fails validation
+function reloadScheduledMessages() {
+  try {
+    const reloadedMessages = readScheduledMessagesFile();
+    const validationErrors = validateScheduledMessages(reloadedMessages);
+    if (validationErrors.length > 0) {
+      console.error(`Refusing to reload scheduledMessages.json, keeping the current schedule: ${formatValidationErrors(validationErrors)}`);
+      return;
+    }
+    if (ensureScheduledMessageIds(reloadedMessages)) {
+      // Writing triggers another reload, which then applies the file with ids
+      writeScheduledMessagesFile(reloadedMessages);
+      console.log('Assigned ids to new scheduled messages.');
+    }
+    scheduledMessages = reloadedMessages;
+    scheduleAllMessages(scheduledMessages);
+    console.log('Reload complete. New scheduled messages have been applied.');
+  } catch (err) {
+    console.error('Error reloading scheduledMessages.json:', err);
+  }
+}
+
+// Watch the scheduledMessages.json file for changes and reload if modified
+fs.watchFile(scheduledMessagesFilePath, (curr, prev) => {
+  if (curr.mtime > prev.mtime) {
+    console.log('scheduledMessages.json changed on disk. Reloading...');
+    reloadScheduledMessages();
+  }
+});
+
+// Validate, write and apply right away (the file watcher polls, so it would lag behind)
+function saveAndReloadScheduledMessages(messages) {
+  const validationErrors = validateScheduledMessages(messages);
+  if (validationErrors.length > 0) return validationErrors;
+  writeScheduledMessagesFile(messages);
+  reloadScheduledMessages();
+  return [];
+}
+
+/* =============================
+   Discord 'ready' Event Handler
+============================= */
+client.once('ready', async () => {
+  scheduleAllMessages(scheduledMessages);
+  try {
+    await migrateLegacyGuildConfig();
+    await moveLegacyGalleries();
+  } catch (error) {
+    console.error('Error moving image channels to per-guild settings:', error);
+  }
+  scheduleImageChannelSyncs();
+  cron.schedule('0 */5 * * * *', processDownloadRetryQueue);
+  console.log(`Discord bot logged in as ${client.user.tag}!`);
+});
+
+/* =============================
+   Reaction Handler
+============================= */
+client.on('messageReactionAdd', async (reaction, user) => {
+  if (user.bot) return; // Ignore bot reactions
+
+  // Handle partials
+  if (reaction.partial) {
+    try {
+      await reaction.fetch();
+    } catch (error) {
+      console.error('Failed to fetch reaction:', error);
+      return;
+    }
+  }
+  if (reaction.message.partial) {
+    try {
+      await reaction.message.fetch();
+    } catch (error) {
+      console.error('Failed to fetch message:', error);
+      return;
+    }
+  }
+
+  // Ensure the reaction is on a message sent by the bot
+  if (reaction.message.author.id !== client.user.id) return;
+
+  if (reaction.emoji.name === '❤️') {
+    const sentRecord = sentMessages.get(reaction.message.id);
+    if (!sentRecord) {
+      console.log(`No stored config for message ID: ${reaction.message.id}`);
+      return;
+    }
+
+    // Prevent multiple responses to the same message
+    if (sentRecord.respondedAt) {
+      console.log(`Already responded to message ID: ${reaction.message.id}`);
+      return;
+    }
+    markSentMessageResponded(reaction.message.id);
+
+    // Retrieve the scheduled config for this message
+    const msgCfg = findScheduledMessageForSent(sentRecord);
+    if (!msgCfg) {
+      console.log(`Scheduled message "${sentRecord.name}" no longer exists for message ID: ${reaction.message.id}`);
+      return;
+    }
+
+    // Ensure automatic responses are enabled
+    if (msgCfg.turnon) {
+      if (Array.isArray(msgCfg.automaticResponses) && msgCfg.automaticResponses.length > 0) {
+        // Select a random automatic response
+        const randomRespIndex = Math.floor(Math.random() * msgCfg.automaticResponses.length);
+        const randomResp = msgCfg.automaticResponses[randomRespIndex];
+        const templateContext = buildTemplateContext(msgCfg, {
+          kind: sentRecord.kind,
+          eventAt: sentRecord.eventAt ? new Date(sentRecord.eventAt) : new Date(sentRecord.sentAt),
+          user
+        });
+        let responseContent = randomResp.content ? renderTemplate(randomResp.content, templateContext) : '';
+        let files = [];
+
+        // If images are enabled, select a random image and attach it
+        if (msgCfg.imageturnon && Array.isArray(msgCfg.Images) && msgCfg.Images.length > 0) {
+          const randomImgIndex = Math.floor(Math.random() * msgCfg.Images.length);
+          const randomImg = msgCfg.Images[randomImgIndex];
+
+          // Add the image URL to the files array
+          files.push(randomImg.Imgurl);
+        }
+
+        try {
+          checkRenderedLength('auto-response content', responseContent, MESSAGE_CONTENT_MAX_LENGTH);
+
+          // Embed responses carry the image inside the embed instead
+          const payload = {};
+          if (responseContent.trim().length > 0) payload.content = responseContent;
+          const embed = randomResp.embed ? buildEmbed(randomResp.embed, templateContext, files[0]) : null;
+          if (embed) {
+            payload.embeds = [embed];
+          } else if (files.length > 0) {
+            payload.files = files;
+          }
+
+          // Fetch the response channel
+          const responseChannel = await client.channels.fetch(msgCfg.responseChannelId);
+          if (!responseChannel || !responseChannel.isTextBased()) {
+            console.error(`Response channel invalid for ${msgCfg.name}`);
+            return;
+          }
+
+          // Send the automatic response with or without attachments
+          await responseChannel.send(payload);
+
+          console.log(`Sent auto-response for "${msgCfg.name}" to #${responseChannel.name}.`);
+        } catch (error) {
+          console.error(`Error sending auto-response for ${msgCfg.name}:`, error);
+        }
+      } else {
+        console.error(`No automaticResponses defined for ${msgCfg.name}.`);
+      }
+    }
+  }
+});
+
+/* =============================
+   Welcome message for new members
+============================= */
+client.on('guildMemberAdd', async (member) => {
+  try {
+    // Guilds without a welcome channel (!cc-guild-config welcome-channel) get no welcome message
+    const { welcomeChannelId } = getGuildSettings(member.guild.id);
+    if (!welcomeChannelId) return;
+    const channel = await member.guild.channels.fetch(welcomeChannelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+      console.error(`Welcome channel not found in guild ${member.guild.name} or is not a text channel.`);
+      return;
+    }
+    const welcomeEmbed = new EmbedBuilder()
+      .setTitle('Welcome!')
+      .setDescription(`Hello ${member.user}, welcome to **${member.guild.name}**!`)
+      .setThumbnail(member.user.displayAvatarURL({ dynamic: true }))
+      .setColor('#00FF00');
+    await channel.send({ embeds: [welcomeEmbed] });
+  } catch (error) {
+    console.error('Error sending welcome message:', error);
+  }
+});
+
+/* =============================
+   Utility: sanitizeChannelName
+============================= */
+function sanitizeChannelName(name) {
+  return name.replace(/[^a-zA-Z0-9-_]/g, '').toLowerCase();
+}
+
+/* =============================
+   Utility: getChannelList, saveChannelList
+   for config.json
+============================= */
+const configFilePath = path.join(process.cwd(), 'config.json');
+
+function readConfig() {
+  if (fs.existsSync(configFilePath)) {
+    return JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+  }
+  return {};
+}
+
+// Merges changes into config.json, keeping the other settings
+function updateConfig(changes) {
+  const configData = { ...readConfig(), ...changes };
+  fs.writeFileSync(configFilePath, JSON.stringify(configData, null, 2));
+  markGalleryChanged();
+}
+
+// channelIds entries are a channel ID, or { id, syncSchedules } for a channel
+// that is also synced on a schedule
+function getChannelEntryId(entry) {
+  return typeof entry === 'string' ? entry : entry.id;
+}
+
+function toImageChannelEntry(entry, guildId) {
+  return typeof entry === 'string'
+    ? { id: entry, guildId, syncSchedules: [] }
+    : { ...entry, guildId, syncSchedules: entry.syncSchedules || [] };
+}
+
+// One guild's image channels, or every guild's without a guildId
+function getImageChannelEntries(guildId) {
+  const config = readConfig();
+  const guilds = config.guilds || {};
+  const guildIds = guildId ? [guildId] : Object.keys(guilds);
+  const entries = guildIds.flatMap(id => ((guilds[id] && guilds[id].channelIds) || []).map(entry => toImageChannelEntry(entry, id)));
+  // Top-level channelIds predate per-guild settings, migrateLegacyGuildConfig
+  // moves them into their guild on startup
+  if (!guildId) entries.push(...(config.channelIds || []).map(entry => toImageChannelEntry(entry, null)));
+  return entries;
+}
+
+function getChannelList(guildId) {
+  return getImageChannelEntries(guildId).map(entry => entry.id);
+}
+
+function saveChannelList(guildId, channelIds) {
+  // Channels that stay in the list keep their settings
+  const entries = new Map((getGuildConfig(guildId).channelIds || []).map(entry => [getChannelEntryId(entry), entry]));
+  updateGuildConfig(guildId, { channelIds: channelIds.map(id => entries.get(id) || id) });
+  scheduleImageChannelSyncs();
+}
+
+// An empty list turns the entry back into a bare ID
+function saveImageChannelSyncSchedules(guildId, channelId, syncSchedules) {
+  const channelIds = (getGuildConfig(guildId).channelIds || []).map(entry => {
+    if (getChannelEntryId(entry) !== channelId) return entry;
+    const { syncSchedules: _previous, ...settings } = typeof entry === 'string' ? { id: entry } : entry;
+    if (syncSchedules.length > 0) return { ...settings, syncSchedules };
+    return Object.keys(settings).length > 1 ? settings : channelId;
+  });
+  updateGuildConfig(guildId, { channelIds });
+  scheduleImageChannelSyncs();
+}
+
+/* =============================
+   Guild Settings
+   - config.json "guilds" holds each guild's settings:
+     { "<guildId>": { adminRoleIds, welcomeChannelId, adminChannelId, channelIds } }
+   - ADMIN_ROLE_ID, WELCOME_CHANNEL_ID and ADMIN_CHANNEL_ID are the
+     defaults for whatever a guild has not set
+   - members with ADMIN_ROLE_ID also manage the bot itself (API keys,
+     image storage), which is shared by every guild
+============================= */
+const GUILD_ID_PATTERN = /^\d{17,20}$/;
+const GUILD_CONFIG_OPTIONS = {
+  'admin-roles': 'adminRoleIds',
+  'welcome-channel': 'welcomeChannelId',
+  'admin-channel': 'adminChannelId'
+};
+
+function getGuildConfig(guildId) {
+  return (readConfig().guilds || {})[guildId] || {};
+}
+
+// A setting changed to undefined is dropped, so the default applies again
+function updateGuildConfig(guildId, changes) {
+  const guilds = readConfig().guilds || {};
+  updateConfig({ guilds: { ...guilds, [guildId]: { ...guilds[guildId], ...changes } } });
+}
+
+function getGuildSettings(guildId) {
+  const settings = getGuildConfig(guildId);
+  return {
+    adminRoleIds: settings.adminRoleIds || (ADMIN_ROLE_ID ? [ADMIN_ROLE_ID] : []),
+    welcomeChannelId: settings.welcomeChannelId || getDefaultGuildChannel(WELCOME_CHANNEL_ID, guildId),
+    adminChannelId: settings.adminChannelId || getDefaultGuildChannel(ADMIN_CHANNEL_ID, guildId)
+  };
+}
+
+// WELCOME_CHANNEL_ID and ADMIN_CHANNEL_ID only default for the guild they are in
+function getDefaultGuildChannel(channelId, guildId) {
+  return channelId && client.channels.cache.get(channelId)?.guildId === guildId ? channelId : null;
+}
+
+function isBotAdmin(member) {
+  return Boolean(member && ADMIN_ROLE_ID && member.roles.cache.has(ADMIN_ROLE_ID));
+}
+
+function isGuildAdmin(member) {
+  if (!member) return false;
+  return isBotAdmin(member) || getGuildSettings(member.guild.id).adminRoleIds.some(roleId => member.roles.cache.has(roleId));
+}
+
+// Scheduled messages belong to the guild of their channel
+function getScheduledMessageGuildId(msg) {
+  const channel = client.channels.cache.get(msg.channelId);
+  return channel ? channel.guildId : null;
+}
+
+// Moves the top-level channelIds of older configs into the guild of each
+// channel. Channels that cannot be resolved stay where they are.
+async function migrateLegacyGuildConfig() {
+  const legacyEntries = readConfig().channelIds || [];
+  if (legacyEntries.length === 0) return;
+
+  const unresolved = [];
+  for (const entry of legacyEntries) {
+    const channelId = getChannelEntryId(entry);
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.guildId) {
+      console.warn(`Image channel ${channelId} in config.json channelIds was not found, left in place.`);
+      unresolved.push(entry);
+      continue;
+    }
+    const guildChannelIds = getGuildConfig(channel.guildId).channelIds || [];
+    if (!guildChannelIds.some(item => getChannelEntryId(item) === channelId)) {
+      updateGuildConfig(channel.guildId, { channelIds: [...guildChannelIds, entry] });
+    }
+  }
+  updateConfig({ channelIds: unresolved.length > 0 ? unresolved : undefined });
+  console.log(`Moved ${legacyEntries.length - unresolved.length} image channel(s) from config.json channelIds into their guild.`);
+}
+
+/* =============================
+   Command Permissions
+   - permissions.json holds allow and deny rules per guild, for each
+     command and each API key scope ("api-scope:<scope>"):
+     { "<guildId>": { "pics": { "allow": ["role:<id>"], "deny": ["user:<id>"] } } }
+   - a rule is "role:<id>", "user:<id>" or "permission:<name>", the
+     name being a Discord permission such as ManageGuild
+   - ADMIN_ROLE_ID members are always allowed. Otherwise a deny rule
+     wins, then the guild's admin roles (guild commands only), then the
+     allow rules
+============================= */
+const permissionsFilePath = path.join(process.cwd(), 'permissions.json');
+const PERMISSION_RULE_TYPES = ['role', 'user', 'permission'];
+
+// level "guild": the guild's admins are allowed by default. level "bot": the
+// command affects every guild, so only allow rules set by a bot admin count.
+const GUILD_COMMAND_PERMISSIONS = [
+  'pics', 'picsall', 'cc-pic-channel-add', 'cc-pic-channel-remove', 'cc-pic-channel-ls', 'cc-pic-channel-schedule',
+  'cc-pic-sync-cancel', 'cc-pic-duplicates', 'cc-schedule-upcoming', 'schedule'
+];
+const BOT_COMMAND_PERMISSIONS = [
+  'cc-api-key-create', 'cc-api-key-revoke', 'cc-api-key-ls', 'cc-storage-migrate', 'cc-pic-duplicates-keep-earliest'
+];
+
+function getPermissionTargets() {
+  return {
+    ...Object.fromEntries(GUILD_COMMAND_PERMISSIONS.map(name => [name, { level: 'guild' }])),
+    // Server managers can set up a guild whose admin roles are not configured yet
+    'cc-guild-config': { level: 'guild', defaults: ['permission:ManageGuild'] },
+    'cc-permissions': { level: 'guild', defaults: ['permission:ManageGuild'] },
+    ...Object.fromEntries(BOT_COMMAND_PERMISSIONS.map(name => [name, { level: 'bot' }])),
+    // Needed for each scope of a new API key
+    ...Object.fromEntries(API_KEY_SCOPES.map(scope => [`api-scope:${scope}`, { level: 'bot' }]))
+  };
+}
+
+function readPermissions() {
+  if (fs.existsSync(permissionsFilePath)) {
+    try {
+      return JSON.parse(fs.readFileSync(permissionsFilePath, 'utf8'));
+    } catch (err) {
+      console.error('Error reading permissions.json, only the default rules apply:', err);
+    }
+  }
+  return {};
+}
+
+// { allow, deny } of one command or scope in a guild
+function getPermissionRules(guildId, name) {
+  const rules = (readPermissions()[guildId] || {})[name] || {};
+  return { allow: rules.allow || [], deny: rules.deny || [] };
+}
+
+// Empty lists are dropped, so the file only lists what was changed
+function savePermissionRules(guildId, name, { allow, deny }) {
+  const permissions = readPermissions();
+  const guildRules = { ...permissions[guildId] };
+  const rules = {};
+  if (allow.length > 0) rules.allow = allow;
+  if (deny.length > 0) rules.deny = deny;
+  if (Object.keys(rules).length > 0) guildRules[name] = rules;
+  else delete guildRules[name];
+  permissions[guildId] = guildRules;
+  fs.writeFileSync(permissionsFilePath, JSON.stringify(permissions, null, 2));
+}
+
+// Turns "role:<id>", "user:<id>", "permission:<name>" or a mention into a
+// rule, or returns null
+function parsePermissionRule(value, guild) {
+  const mention = value.match(/^<@(&|!)?(\d+)>$/);
+  const [type, id] = mention
+    ? [mention[1] === '&' ? 'role' : 'user', mention[2]]
+    : [value.slice(0, value.indexOf(':')), value.slice(value.indexOf(':') + 1)];
+  if (type === 'role' && guild.roles.cache.has(id)) return `role:${id}`;
+  if (type === 'user' && /^\d+$/.test(id)) return `user:${id}`;
+  if (type === 'permission' && Object.hasOwn(PermissionsBitField.Flags, id)) return `permission:${id}`;
+  return null;
+}
+
+function matchesPermissionRule(member, rule) {
+  const [type, value] = rule.split(':');
+  if (type === 'user') return member.id === value;
+  if (type === 'role') return member.roles.cache.has(value);
+  if (type === 'permission') return Object.hasOwn(PermissionsBitField.Flags, value) && member.permissions.has(PermissionsBitField.Flags[value]);
+  return false;
+}
+
+// Returns { allowed, reason }; reason says why a member was denied
+function checkPermission(member, name) {
+  const target = getPermissionTargets()[name];
+  if (!target) return { allowed: false, reason: `unknown permission ${name}` };
+  if (!member) return { allowed: false, reason: 'not used in a server' };
+  if (isBotAdmin(member)) return { allowed: true, reason: null };
+
+  const { allow, deny } = getPermissionRules(member.guild.id, name);
+  const denyRule = deny.find(rule => matchesPermissionRule(member, rule));
+  if (denyRule) return { allowed: false, reason: `denied by ${denyRule}` };
+  if (target.level === 'guild' && isGuildAdmin(member)) return { allowed: true, reason: null };
+  if ([...(target.defaults || []), ...allow].some(rule => matchesPermissionRule(member, rule))) {
+    return { allowed: true, reason: null };
+  }
+  return { allowed: false, reason: 'no allow rule matches' };
+}
+
+function logPermissionDenied(user, name, guild, reason) {
+  console.warn(`[DENIED] ${user.tag} (${user.id}) tried to use ${name} in ${guild ? guild.name : 'a DM'}: ${reason}`);
+}
+
+// Every command handler starts here. source is a message, an interaction or
+// a command context; a denied attempt is logged and answered.
+async function requirePermission(source, name) {
+  const { allowed, reason } = checkPermission(source.member, name);
+  if (allowed) return true;
+
+  logPermissionDenied(source.user || source.author, name, source.guild, reason);
+  const content = source.guild
+    ? `You do not have permission to use \`${name}\`.`
+    : 'This command can only be used in a server.';
+  if (typeof source.isRepliable === 'function') {
+    // Interactions
+    if (source.deferred) await source.editReply(content);
+    else await source.reply({ content, ephemeral: true });
+  } else {
+    await source.reply(content);
+  }
+  return false;
+}
+
+/* =============================
+   API Keys
+   - stored hashed in apiKeys.json
+   - scopes: read, schedule-admin, image-admin
+   - a key with a guildId only works on that guild's
+     /guilds/:guildId routes; keys without one cover every guild
+============================= */
+const apiKeysFilePath = path.join(process.cwd(), 'apiKeys.json');
+const API_KEY_SCOPES = ['read', 'schedule-admin', 'image-admin'];
+
+function getApiKeys() {
+  if (fs.existsSync(apiKeysFilePath)) {
+    try {
+      return JSON.parse(fs.readFileSync(apiKeysFilePath, 'utf8'));
+    } catch (err) {
+      console.error('Error reading apiKeys.json:', err);
+    }
+  }
+  return [];
+}
+
+function saveApiKeys(apiKeys) {
+  fs.writeFileSync(apiKeysFilePath, JSON.stringify(apiKeys, null, 2));
+}
+
+function hashApiKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns the plain token once; only its hash is persisted
+function createApiKey(name, scopes, createdBy, guildId = null) {
+  const token = `cc_${crypto.randomBytes(32).toString('hex')}`;
+  const apiKey = {
+    id: crypto.randomBytes(4).toString('hex'),
+    name,
+    scopes,
+    guildId,
+    hash: hashApiKey(token),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  const apiKeys = getApiKeys();
+  apiKeys.push(apiKey);
+  saveApiKeys(apiKeys);
+  return { apiKey, token };
+}
+
+function revokeApiKey(id) {
+  const apiKeys = getApiKeys();
+  const remaining = apiKeys.filter(key => key.id !== id);
+  if (remaining.length === apiKeys.length) return false;
+  saveApiKeys(remaining);
+  return true;
+}
+
+// Admin scopes imply read access
+function apiKeyHasScope(apiKey, scope) {
+  if (apiKey.scopes.includes(scope)) return true;
+  return scope === 'read' && apiKey.scopes.some(s => s !== 'read');
+}
+
+function findApiKeyByToken(token) {
+  const hash = Buffer.from(hashApiKey(token), 'hex');
+  return getApiKeys().find(key => {
+    // timingSafeEqual throws on a length mismatch, e.g. a hand-edited hash
+    const storedHash = Buffer.from(String(key.hash || ''), 'hex');
+    return storedHash.length === hash.length && crypto.timingSafeEqual(storedHash, hash);
+  });
+}
+
+// lastUsedAt is informational, so it is written at most this often per key
+const API_KEY_USAGE_WRITE_INTERVAL_MS = 5 * 60 * 1000;
+
+function recordApiKeyUsage(apiKey) {
+  const now = Date.now();
+  if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt).getTime() < API_KEY_USAGE_WRITE_INTERVAL_MS) return;
+  const apiKeys = getApiKeys();
+  const stored = apiKeys.find(key => key.id === apiKey.id);
+  if (stored) {
+    stored.lastUsedAt = new Date(now).toISOString();
+    saveApiKeys(apiKeys);
+  }
+}
+
+/* =============================
+   Command context
+   - one shape for prefix messages and slash commands,
+     so a handler can serve both
+============================= */
+function commandContextFromMessage(message) {
+  return {
+    member: message.member,
+    guild: message.guild,
+    user: message.author,
+    channel: message.channel,
+    args: message.content.trim().split(/\s+/).slice(1),
+    reply: content => message.reply(content),
+    send: content => message.channel.send(content)
+  };
+}
+
+// Slash command replies are ephemeral; the first one fills a deferred reply, later ones are follow-ups
+function commandContextFromInteraction(interaction, args) {
+  let deferredReplyFilled = false;
+  const respond = content => {
+    const payload = { content, ephemeral: true };
+    if (interaction.deferred && !deferredReplyFilled) {
+      deferredReplyFilled = true;
+      return interaction.editReply(content);
+    }
+    return interaction.replied || interaction.deferred
+      ? interaction.followUp(payload)
+      : interaction.reply(payload);
+  };
+  return {
+    member: interaction.member,
+    guild: interaction.guild,
+    user: interaction.user,
+    channel: interaction.channel,
+    args,
+    reply: respond,
+    send: respond
+  };
+}
+
+/* =============================
+   Slash commands
+   - registered per guild on startup
+   - the ! prefix commands keep working during the transition
+============================= */
+const scheduledMessageOption = option => option
+  .setName('message')
+  .setDescription('Scheduled message')
+  .setAutocomplete(true)
+  .setRequired(true);
+
+const scheduleSlashCommand = new SlashCommandBuilder()
+  .setName('schedule')
+  .setDescription('Manage scheduled messages')
+  .addSubcommand(subcommand => subcommand
+    .setName('list')
+    .setDescription('List all scheduled messages'))
+  .addSubcommand(subcommand => subcommand
+    .setName('show')
+    .setDescription('Show the full definition of a scheduled message')
+    .addStringOption(scheduledMessageOption))
+  .addSubcommand(subcommand => subcommand
+    .setName('toggle')
+    .setDescription('Turn a scheduled message or its images on or off')
+    .addStringOption(scheduledMessageOption)
+    .addStringOption(option => option
+      .setName('field')
+      .setDescription('What to toggle')
+      .addChoices(
+        { name: 'turnon', value: 'turnon' },
+        { name: 'imageturnon', value: 'imageturnon' }
+      )))
+  .addSubcommand(subcommand => subcommand
+    .setName('create')
+    .setDescription('Create a weekly or date scheduled message')
+    .addStringOption(option => option
+      .setName('type')
+      .setDescription('Message type')
+      .setRequired(true)
+      .addChoices(
+        { name: 'weekly', value: 'weekly' },
+        { name: 'date', value: 'date' }
+      ))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Channel to post in')
+      .addChannelTypes(ChannelType.GuildText)
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('edit')
+    .setDescription('Edit the text of a scheduled message')
+    .addStringOption(scheduledMessageOption))
+  .addSubcommand(subcommand => subcommand
+    .setName('delete')
+    .setDescription('Delete a scheduled message')
+    .addStringOption(scheduledMessageOption))
+  .addSubcommand(subcommand => subcommand
+    .setName('test-send')
+    .setDescription('Send a scheduled message to this channel right now')
+    .addStringOption(scheduledMessageOption));
+
+const imageChannelOption = option => option
+  .setName('channel')
+  .setDescription('A channel added for image processing')
+  .setAutocomplete(true);
+
+const fullRescanOption = option => option
+  .setName('full')
+  .setDescription('Rescan the whole channel history and remove deleted images');
+
+const slashCommands = [
+  new SlashCommandBuilder()
+    .setName('cc-pic-channel')
+    .setDescription('Manage the channels used for image processing')
+    .addSubcommand(subcommand => subcommand
+      .setName('add')
+      .setDescription('Add a channel for image processing')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to add')
+        .addChannelTypes(ChannelType.GuildText)
+        .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('remove')
+      .setDescription('Remove a channel from image processing')
+      .addStringOption(option => imageChannelOption(option).setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('ls')
+      .setDescription('List all added channels')),
+  new SlashCommandBuilder()
+    .setName('pics')
+    .setDescription('Update image data for an added channel')
+    .addStringOption(option => imageChannelOption(option).setRequired(true))
+    .addBooleanOption(fullRescanOption),
+  new SlashCommandBuilder()
+    .setName('picsall')
+    .setDescription('Update image data for all added channels, or one of them')
+    .addStringOption(option => imageChannelOption(option))
+    .addBooleanOption(fullRescanOption),
+  scheduleSlashCommand
+];
+
+async function registerSlashCommands() {
+  const commandData = slashCommands.map(command => command.toJSON());
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      await guild.commands.set(commandData);
+      console.log(`Registered slash commands for guild ${guild.name}`);
+    } catch (error) {
+      console.error(`Error registering slash commands for guild ${guild.id}:`, error);
+    }
+  }
+}
+
+// Suggest the added image channels matching what the user typed so far
+async function handleImageChannelAutocomplete(interaction) {
+  // Same permission as the command itself. Not logged, autocomplete runs on every keystroke
+  const permissionName = interaction.commandName === 'cc-pic-channel'
+    ? `cc-pic-channel-${interaction.options.getSubcommand()}`
+    : interaction.commandName;
+  if (!checkPermission(interaction.member, permissionName).allowed) {
+    await interaction.respond([]);
+    return;
+  }
+  const focused = interaction.options.getFocused().toLowerCase();
+  const choices = [];
+  for (const channelId of getChannelList(interaction.guildId)) {
+    const channel = interaction.guild.channels.cache.get(channelId);
+    const name = channel ? `#${channel.name}` : `Unknown Channel (${channelId})`;
+    if (name.toLowerCase().includes(focused) || channelId.includes(focused)) {
+      choices.push({ name, value: channelId });
+    }
+  }
+  await interaction.respond(choices.slice(0, 25));
+}
+
+client.on('interactionCreate', async (interaction) => {
+  if (!interaction.inGuild()) return;
+
+  try {
+    if (interaction.isAutocomplete()) {
+      if (interaction.commandName === 'schedule') {
+        await handleScheduledMessageAutocomplete(interaction);
+      } else if (interaction.options.getFocused(true).name === 'channel') {
+        await handleImageChannelAutocomplete(interaction);
+      }
+      return;
+    }
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('schedule-')) {
+      await handleScheduleModalSubmit(interaction);
+      return;
+    }
+    if (interaction.isButton() && interaction.customId.startsWith('schedule-')) {
+      await handleScheduleButton(interaction);
+      return;
+    }
+    if (!interaction.isChatInputCommand()) return;
+
+    if (interaction.commandName === 'schedule') {
+      await handleScheduleCommand(interaction);
+      return;
+    }
+
+    // Channel options (add) and autocompleted string options both carry the channel ID as value
+    const channelArg = interaction.options.get('channel')?.value;
+    const fullArg = interaction.options.getBoolean('full') ? 'full' : null;
+    const ctx = commandContextFromInteraction(interaction, [channelArg, fullArg].filter(Boolean));
+
+    if (interaction.commandName === 'cc-pic-channel') {
+      const subcommand = interaction.options.getSubcommand();
+      if (subcommand === 'add') await handleAddChannelCommand(ctx);
+      else if (subcommand === 'remove') await handleRemoveChannelCommand(ctx);
+      else if (subcommand === 'ls') await handleListChannelsCommand(ctx);
+      return;
+    }
+
+    if (interaction.commandName === 'pics' || interaction.commandName === 'picsall') {
+      // Image syncs take longer than the 3 second reply window
+      await interaction.deferReply({ ephemeral: true });
+      if (interaction.commandName === 'pics') await handleUpdateImagesCommand(ctx);
+      else await handleUpdateAllImagesCommand(ctx);
+    }
+  } catch (error) {
+    console.error('Error handling interaction:', error);
+  }
+});
+
+/* =============================
+   Discord command handler
+============================= */
+client.on('messageCreate', async (message) => {
+  if (message.author.bot) return;
+
+  if (message.content.startsWith('!pics ')) {
+    await handleUpdateImagesCommand(commandContextFromMessage(message));
+    return;
+  }
+
+  if (message.content.startsWith('!picsall')) {
+    await handleUpdateAllImagesCommand(commandContextFromMessage(message));
+    return;
+  }
+
+  if (message.content.startsWith('!cc-pic-channel-add')) {
+    await handleAddChannelCommand(commandContextFromMessage(message));
+    return;
+  }
+
+  if (message.content.startsWith('!cc-pic-channel-remove')) {
+    await handleRemoveChannelCommand(commandContextFromMessage(message));
+    return;
+  }
+
+  if (message.content.startsWith('!cc-pic-channel-schedule')) {
+    await handleChannelSyncScheduleCommand(commandContextFromMessage(message));
+    return;
+  }
+
+  if (message.content === '!cc-pic-channel-ls') {
+    await handleListChannelsCommand(commandContextFromMessage(message));
+    return;
+  }
+
+  if (message.content.startsWith('!cc-api-key-create')) {
+    await handleCreateApiKeyCommand(message);
+    return;
+  }
+
+  if (message.content.startsWith('!cc-api-key-revoke')) {
+    await handleRevokeApiKeyCommand(message);
+    return;
+  }
+
+  if (message.content === '!cc-api-key-ls') {
+    await handleListApiKeysCommand(message);
+    return;
+  }
+
+  if (message.content.startsWith('!cc-schedule-upcoming')) {
+    await handleUpcomingRunsCommand(message);
+    return;
+  }
+
+  if (message.content.startsWith('!cc-pic-sync-cancel')) {
+    await handleCancelImageSyncCommand(message);
+    return;
+  }
+
+  if (message.content.startsWith('!cc-pic-duplicates')) {
+    await handleImageDuplicatesCommand(message);
+    return;
+  }
+
+  if (message.content.startsWith('!cc-storage-migrate')) {
+    await handleStorageMigrateCommand(message);
+    return;
+  }
+
+  if (message.content.startsWith('!cc-guild-config')) {
+    await handleGuildConfigCommand(message);
+    return;
+  }
+
+  if (message.content.startsWith('!cc-permissions')) {
+    await handlePermissionsCommand(message);
+    return;
+  }
+});
+
+client.once('ready', async () => {
+  console.log(`Logged in as ${client.user.tag}`);
+
+  await registerSlashCommands();
+
+  // ------------------------------
+  // Fetch Text Channels from all Guilds
+  // ------------------------------
+  const channels = [];
+
+  // Iterate over each guild the bot is in
+  for (const guild of client.guilds.cache.values()) {
+    try {
       // Fetch all channels for this guild (ensuring they are loaded)
       const fetchedChannels = await guild.channels.fetch();
 
-      // Only add text channels (GuildText)
-      fetchedChannels.forEach(channel => {
-        if (channel.type === ChannelType.GuildText) {
-          channels.push({
-            id: channel.id,
-            name: channel.name
-          });
-        }
-      });
-    } catch (error) {
-      console.error(`Error fetching channels for guild ${guild.id}:`, error);
-    }
+      // Only add text channels (GuildText)
+      fetchedChannels.forEach(channel => {
+        if (channel.type === ChannelType.GuildText) {
+          channels.push({
+            id: channel.id,
+            name: channel.name,
+            guildId: guild.id
+          });
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching channels for guild ${guild.id}:`, error);
+    }
+  }
+
+  // Write the channels data to channels.json
+  const channelsFilePath = path.join(process.cwd(), 'assets/channels.json');
+  fs.writeFile(channelsFilePath, JSON.stringify({ channels }, null, 4), err => {
+    if (err) {
+      console.error('Error writing channels file:', err);
+    } else {
+      console.log('Channel information has been saved to channels.json');
+    }
+  });
+
+  // ------------------------------
+  // Fetch Roles from all Guilds
+  // ------------------------------
+  const roles = [];
+
+  // Iterate over each guild the bot is in
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      // Fetch all roles for this guild
+      const fetchedRoles = await guild.roles.fetch();
+
+      // Iterate through the roles collection and add each role's id and name
+      fetchedRoles.forEach(role => {
+        roles.push({
+          id: role.id,
+          name: role.name,
+          guildId: guild.id
+        });
+      });
+    } catch (error) {
+      console.error(`Error fetching roles for guild ${guild.id}:`, error);
+    }
+  }
+
+  // Write the roles data to roles.json
+  const rolesFilePath = path.join(process.cwd(), 'assets/roles.json');
+  fs.writeFile(rolesFilePath, JSON.stringify({ roles }, null, 4), err => {
+    if (err) {
+      console.error('Error writing roles file:', err);
+    } else {
+      console.log('Role information has been saved to roles.json');
+    }
+  });
+});
+
+/* =============================
+   Guild settings command
+============================= */
+async function handleGuildConfigCommand(message) {
+  if (!(await requirePermission(message, 'cc-guild-config'))) return;
+  const { guild } = message;
+  const [option, ...values] = message.content.trim().split(/\s+/).slice(1);
+  const usage = 'Usage: `!cc-guild-config`, `!cc-guild-config admin-roles <roleID...>`, '
+    + '`!cc-guild-config <welcome-channel|admin-channel> <channelID>` or `!cc-guild-config <option> clear`';
+
+  try {
+    if (!option) {
+      const stored = getGuildConfig(guild.id);
+      const settings = getGuildSettings(guild.id);
+      const source = key => (stored[key] ? '' : ' (default)');
+      let response = `**Settings for ${guild.name}:**\n`;
+      response += `- admin-roles: ${settings.adminRoleIds.map(id => `<@&${id}>`).join(', ') || 'not set'}${source('adminRoleIds')}\n`;
+      response += `- welcome-channel: ${settings.welcomeChannelId ? `<#${settings.welcomeChannelId}>` : 'not set'}${source('welcomeChannelId')}\n`;
+      response += `- admin-channel: ${settings.adminChannelId ? `<#${settings.adminChannelId}>` : 'not set'}${source('adminChannelId')}\n`;
+      response += `- image channels: ${getChannelList(guild.id).length}`;
+      await message.reply({ content: response, allowedMentions: { parse: [] } });
+      return;
+    }
+
+    const key = GUILD_CONFIG_OPTIONS[option];
+    if (!key || values.length === 0) {
+      await message.reply(usage);
+      return;
+    }
+    if (values[0] === 'clear') {
+      updateGuildConfig(guild.id, { [key]: undefined });
+      await message.reply(`${option} now uses the default.`);
+      return;
+    }
+
+    // Mentions work as well as plain IDs
+    const ids = values.map(value => value.replace(/^<[@#]&?(\d+)>$/, '$1'));
+    if (key === 'adminRoleIds') {
+      const unknown = ids.filter(id => !guild.roles.cache.has(id));
+      if (unknown.length > 0) {
+        await message.reply(`Role(s) not found in this server: ${unknown.join(', ')}`);
+        return;
+      }
+      updateGuildConfig(guild.id, { adminRoleIds: [...new Set(ids)] });
+    } else {
+      const channel = await guild.channels.fetch(ids[0]).catch(() => null);
+      if (!channel || !channel.isTextBased()) {
+        await message.reply('Channel not found in this server or is not a text channel.');
+        return;
+      }
+      updateGuildConfig(guild.id, { [key]: channel.id });
+    }
+    await message.reply(`${option} updated.`);
+    console.log(`Guild setting ${option} of ${guild.name} set to ${ids.join(', ')} by ${message.author.tag}`);
+  } catch (error) {
+    console.error('Error updating guild settings:', error);
+    await message.reply('Something went wrong.');
+  }
+}
+
+/* =============================
+   Permission commands
+============================= */
+function formatPermissionRule(rule) {
+  const [type, value] = rule.split(':');
+  if (type === 'role') return `<@&${value}>`;
+  if (type === 'user') return `<@${value}>`;
+  return value;
+}
+
+function formatPermissionRules({ allow, deny }) {
+  const parts = [];
+  if (allow.length > 0) parts.push(`allow ${allow.map(formatPermissionRule).join(', ')}`);
+  if (deny.length > 0) parts.push(`deny ${deny.map(formatPermissionRule).join(', ')}`);
+  return parts.join('; ');
+}
+
+async function handlePermissionsCommand(message) {
+  if (!(await requirePermission(message, 'cc-permissions'))) return;
+  const { guild } = message;
+  const [action, name, ...values] = message.content.trim().split(/\s+/).slice(1);
+  const targets = getPermissionTargets();
+  const usage = 'Usage: `!cc-permissions`, `!cc-permissions show <command>`, '
+    + '`!cc-permissions <allow|deny|remove> <command> <rule...>` or `!cc-permissions reset <command>`. '
+    + `Rules: ${PERMISSION_RULE_TYPES.map(type => `\`${type}:<${type === 'permission' ? 'name' : 'id'}>\``).join(', ')} or a mention.`;
+  const reply = content => message.reply({ content: content.slice(0, 2000), allowedMentions: { parse: [] } });
+
+  try {
+    if (!action) {
+      const guildRules = readPermissions()[guild.id] || {};
+      let response = `**Command permissions in ${guild.name}:**\n`;
+      const configured = Object.keys(guildRules).filter(key => targets[key]);
+      for (const key of configured) {
+        response += `- \`${key}\`: ${formatPermissionRules(getPermissionRules(guild.id, key))}\n`;
+      }
+      if (configured.length === 0) response += 'No rules set, the defaults apply.\n';
+      response += `Server commands: ${Object.keys(targets).filter(key => targets[key].level === 'guild').join(', ')}\n`;
+      response += `Bot commands and API key scopes (bot admins only by default): ${Object.keys(targets).filter(key => targets[key].level === 'bot').join(', ')}`;
+      await reply(response);
+      return;
+    }
+
+    if (!['show', 'allow', 'deny', 'remove', 'reset'].includes(action) || !name) {
+      await reply(usage);
+      return;
+    }
+    const target = targets[name];
+    if (!target) {
+      await reply(`Unknown command or scope \`${name}\`. Run \`!cc-permissions\` to list them.`);
+      return;
+    }
+    const rules = getPermissionRules(guild.id, name);
+
+    if (action === 'show') {
+      const defaults = target.level === 'guild' ? ['the server\'s admin roles', ...(target.defaults || []).map(formatPermissionRule)] : ['bot admins'];
+      await reply(`\`${name}\` (${target.level === 'guild' ? 'server' : 'bot'} command): allowed by default for ${defaults.join(', ')}. ${formatPermissionRules(rules) || 'No rules set.'}`);
+      return;
+    }
+
+    // Bot commands affect every guild, so a server's own managers cannot open them up
+    if (target.level === 'bot' && !isBotAdmin(message.member)) {
+      logPermissionDenied(message.author, `cc-permissions ${action} ${name}`, guild, 'only bot admins can change the rules of bot commands');
+      await reply(`Only bot admins can change the rules of \`${name}\`, since it affects every server.`);
+      return;
+    }
+
+    if (action === 'reset') {
+      savePermissionRules(guild.id, name, { allow: [], deny: [] });
+      await reply(`Rules for \`${name}\` removed, the defaults apply.`);
+      console.log(`Permission rules for ${name} in ${guild.name} reset by ${message.author.tag}`);
+      return;
+    }
+
+    const parsed = values.map(value => parsePermissionRule(value, guild));
+    if (values.length === 0 || parsed.includes(null)) {
+      const invalid = values.filter((_, index) => parsed[index] === null);
+      await reply(invalid.length > 0 ? `Invalid rule(s): ${invalid.join(', ')}. ${usage}` : usage);
+      return;
+    }
+
+    if (action === 'remove') {
+      savePermissionRules(guild.id, name, {
+        allow: rules.allow.filter(rule => !parsed.includes(rule)),
+        deny: rules.deny.filter(rule => !parsed.includes(rule))
+      });
+    } else {
+      // A rule is in one list at a time
+      const other = action === 'allow' ? 'deny' : 'allow';
+      savePermissionRules(guild.id, name, {
+        [action]: [...new Set([...rules[action], ...parsed])],
+        [other]: rules[other].filter(rule => !parsed.includes(rule))
+      });
+    }
+    await reply(`\`${name}\`: ${formatPermissionRules(getPermissionRules(guild.id, name)) || 'no rules left, the defaults apply.'}`);
+    console.log(`Permission rules for ${name} in ${guild.name} changed by ${message.author.tag}: ${action} ${parsed.join(', ')}`);
+  } catch (error) {
+    console.error('Error updating permission rules:', error);
+    await message.reply('Something went wrong.');
+  }
+}
+
+/* =============================
+   Channel commands
+============================= */
+async function handleAddChannelCommand(ctx) {
+  if (!(await requirePermission(ctx, 'cc-pic-channel-add'))) return;
+  try {
+    const { args } = ctx;
+    if (args.length === 0) {
+      await ctx.reply('Please provide a channel ID.');
+      return;
+    }
+    const channelId = args[0];
+    const channel = await ctx.guild.channels.fetch(channelId);
+    if (!channel || !channel.isTextBased()) {
+      await ctx.reply('Something went wrong: Channel not found or is not a text channel.');
+      return;
+    }
+    const channelList = getChannelList(ctx.guild.id);
+    if (channelList.includes(channelId)) {
+      await ctx.reply('Channel is already added.');
+      return;
+    }
+    channelList.push(channelId);
+    saveChannelList(ctx.guild.id, channelList);
+    await ctx.reply('Channel is successfully added.');
+  } catch (error) {
+    console.error('Error adding channel:', error);
+    await ctx.reply('Something went wrong.');
+  }
+}
+
+async function handleRemoveChannelCommand(ctx) {
+  if (!(await requirePermission(ctx, 'cc-pic-channel-remove'))) return;
+  try {
+    const { args } = ctx;
+    if (args.length === 0) {
+      await ctx.reply('Please provide a channel ID.');
+      return;
+    }
+    const channelId = args[0];
+    const channelList = getChannelList(ctx.guild.id);
+    if (!channelList.includes(channelId)) {
+      await ctx.reply('Channel not found in the list.');
+      return;
+    }
+    const updatedChannelList = channelList.filter(id => id !== channelId);
+    saveChannelList(ctx.guild.id, updatedChannelList);
+    await ctx.reply('Channel successfully removed.');
+  } catch (error) {
+    console.error('Error removing channel:', error);
+    await ctx.reply('Something went wrong.');
+  }
+}
+
+async function handleListChannelsCommand(ctx) {
+  if (!(await requirePermission(ctx, 'cc-pic-channel-ls'))) return;
+  try {
+    const entries = getImageChannelEntries(ctx.guild.id);
+    if (entries.length === 0) {
+      await ctx.reply('No channels have been added yet.');
+      return;
+    }
+    const syncState = getImageSyncState();
+    let response = '**Channels added for image processing:**\n';
+    for (const entry of entries) {
+      const channelId = entry.id;
+      try {
+        const channel = await ctx.guild.channels.fetch(channelId);
+        if (channel) {
+          response += `- ${channel.name} (ID: ${channelId})\n`;
+        } else {
+          response += `- Unknown Channel (ID: ${channelId})\n`;
+        }
+      } catch (error) {
+        response += `- Unknown Channel (ID: ${channelId})\n`;
+      }
+      response += formatImageChannelSyncInfo(entry, syncState[channelId]);
+    }
+    await ctx.reply(response.slice(0, 2000));
+  } catch (error) {
+    console.error('Error listing channels:', error);
+    await ctx.reply('Something went wrong.');
+  }
+}
+
+function formatImageChannelSyncInfo(entry, state = {}) {
+  let info = '';
+  if (entry.syncSchedules.length > 0) {
+    const schedules = entry.syncSchedules.map(schedule => `\`${schedule.cron}\` ${schedule.full ? 'full' : 'incremental'}`);
+    const next = getNextImageSync(entry);
+    info += `  Schedule: ${schedules.join(', ')}`;
+    if (next) info += `, next <t:${Math.floor(next.at.getTime() / 1000)}:f> (${next.full ? 'full' : 'incremental'})`;
+    info += '\n';
+  }
+  if (state.lastSyncAt) {
+    info += `  Last sync: <t:${Math.floor(new Date(state.lastSyncAt).getTime() / 1000)}:R>`;
+    if (state.lastSyncResult) info += ` ${state.lastSyncResult}`;
+    if (state.lastSyncMode) info += ` (${state.lastSyncMode}${state.lastSyncImageCount != null ? `, ${state.lastSyncImageCount} image(s)` : ''})`;
+    if (state.lastSyncError) info += `: ${state.lastSyncError}`;
+    info += '\n';
+  }
+  return info;
+}
+
+async function handleChannelSyncScheduleCommand(ctx) {
+  if (!(await requirePermission(ctx, 'cc-pic-channel-schedule'))) return;
+  try {
+    const [channelId, mode, ...cronParts] = ctx.args;
+    const usage = 'Usage: `!cc-pic-channel-schedule <channelID> <incremental|full> <cron expression>` or `!cc-pic-channel-schedule <channelID> clear`';
+    if (!channelId || !['incremental', 'full', 'clear'].includes(mode)) {
+      await ctx.reply(usage);
+      return;
+    }
+    const entry = getImageChannelEntries(ctx.guild.id).find(item => item.id === channelId);
+    if (!entry) {
+      await ctx.reply('Channel not found in the list.');
+      return;
+    }
+
+    if (mode === 'clear') {
+      saveImageChannelSyncSchedules(ctx.guild.id, channelId, []);
+      await ctx.reply('Sync schedules removed for this channel.');
+      return;
+    }
+
+    const cronExpression = cronParts.join(' ');
+    if (!isValidCronExpression(cronExpression)) {
+      await ctx.reply(`Invalid cron expression. ${usage}`);
+      return;
+    }
+    const schedule = { cron: cronExpression, ...(mode === 'full' ? { full: true } : {}) };
+    saveImageChannelSyncSchedules(ctx.guild.id, channelId, [...entry.syncSchedules, schedule]);
+    const next = getNextImageSync({ syncSchedules: [schedule] });
+    await ctx.reply(`Added ${mode === 'full' ? 'a full' : 'an incremental'} sync on \`${cronExpression}\` (${DEFAULT_TIMEZONE})${next ? `, next run <t:${Math.floor(next.at.getTime() / 1000)}:f>` : ''}.`);
+  } catch (error) {
+    console.error('Error updating sync schedule:', error);
+    await ctx.reply('Something went wrong.');
+  }
+}
+
+/* =============================
+   API Key commands
+============================= */
+async function handleCreateApiKeyCommand(message) {
+  if (!(await requirePermission(message, 'cc-api-key-create'))) return;
+  try {
+    const words = message.content.trim().split(/\s+/).slice(1);
+    const allGuilds = words.includes('--all-guilds');
+    const args = words.filter(word => word !== '--all-guilds');
+    if (args.length < 2) {
+      await message.reply(`Usage: !cc-api-key-create <name> <scope...> [--all-guilds] (scopes: ${API_KEY_SCOPES.join(', ')})`);
+      return;
+    }
+    // Keys are bound to this server, only bot admins can hand out keys for every server
+    if (allGuilds && !isBotAdmin(message.member)) {
+      await message.reply('Only bot admins can create keys for every server.');
+      return;
+    }
+    const [name, ...scopes] = args;
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      await message.reply(`Unknown scope(s): ${invalidScopes.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`);
+      return;
+    }
+    for (const scope of new Set(scopes)) {
+      if (!(await requirePermission(message, `api-scope:${scope}`))) return;
+    }
+    const { apiKey, token } = createApiKey(name, [...new Set(scopes)], message.author.id, allGuilds ? null : message.guild.id);
+    const reach = apiKey.guildId ? `server: ${message.guild.name}` : 'all servers';
+
+    // The token is only shown once, so send it privately
+    try {
+      await message.author.send(
+        `API key **${apiKey.name}** (ID: ${apiKey.id}, scopes: ${apiKey.scopes.join(', ')}, ${reach}):\n\`${token}\`\n` +
+        'Store it somewhere safe, it cannot be shown again.'
+      );
+    } catch (error) {
+      revokeApiKey(apiKey.id);
+      await message.reply('Could not send you a DM, so the key was not created. Please enable DMs from server members.');
+      return;
+    }
+    await message.reply(`API key **${apiKey.name}** (ID: ${apiKey.id}) created. The token has been sent to you via DM.`);
+    console.log(`API key ${apiKey.id} (${apiKey.name}) created by ${message.author.tag}`);
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    await message.reply('Something went wrong.');
+  }
+}
+
+async function handleRevokeApiKeyCommand(message) {
+  if (!(await requirePermission(message, 'cc-api-key-revoke'))) return;
+  try {
+    const args = message.content.trim().split(/\s+/).slice(1);
+    if (args.length === 0) {
+      await message.reply('Please provide an API key ID.');
+      return;
+    }
+    const keyId = args[0];
+    if (!revokeApiKey(keyId)) {
+      await message.reply('API key not found.');
+      return;
+    }
+    await message.reply(`API key ${keyId} has been revoked.`);
+    console.log(`API key ${keyId} revoked by ${message.author.tag}`);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    await message.reply('Something went wrong.');
+  }
+}
+
+async function handleListApiKeysCommand(message) {
+  if (!(await requirePermission(message, 'cc-api-key-ls'))) return;
+  try {
+    const apiKeys = getApiKeys();
+    if (apiKeys.length === 0) {
+      await message.reply('No API keys have been created yet.');
+      return;
+    }
+    let response = '**API keys:**\n';
+    for (const key of apiKeys) {
+      const lastUsed = key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'never';
+      const reach = key.guildId ? `server: ${client.guilds.cache.get(key.guildId)?.name || key.guildId}` : 'all servers';
+      response += `- ${key.name} (ID: ${key.id}) scopes: ${key.scopes.join(', ')}, ${reach}, last used: ${lastUsed}\n`;
+    }
+    await message.reply(response);
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    await message.reply('Something went wrong.');
+  }
+}
+
+/* =============================
+   Schedule commands
+============================= */
+async function handleUpcomingRunsCommand(message) {
+  if (!(await requirePermission(message, 'cc-schedule-upcoming'))) return;
+  try {
+    const args = message.content.trim().split(/\s+/).slice(1);
+    const count = args.length > 0 ? parseInt(args[0], 10) : 10;
+    if (!Number.isInteger(count) || count < 1 || count > 25) {
+      await message.reply('Please provide a number of runs between 1 and 25.');
+      return;
+    }
+
+    const now = new Date();
+    const upcoming = getUpcomingRuns({ from: now, to: new Date(now.getTime() + 366 * DAY_MS), guildId: message.guild.id, limit: count });
+    if (upcoming.length === 0) {
+      await message.reply('No upcoming scheduled messages.');
+      return;
+    }
+
+    let response = `**Next ${upcoming.length} scheduled run(s):**\n`;
+    for (const run of upcoming) {
+      const unixTime = Math.floor(new Date(run.at).getTime() / 1000);
+      let line = `- <t:${unixTime}:f> **${run.name}** in <#${run.channelId}> (${run.localTime} ${run.timezone})`;
+      if (run.kind === 'reminder') line += ` reminder for <t:${Math.floor(new Date(run.eventAt).getTime() / 1000)}:d>`;
+      if (run.skipped) line += ` *skipped: ${run.skipReason}*`;
+      response += `${line}\n`;
+    }
+    await message.reply(response.slice(0, 2000));
+  } catch (error) {
+    console.error('Error listing upcoming runs:', error);
+    await message.reply('Something went wrong.');
+  }
+}
+
+/* =============================
+   /schedule commands
+   - changes go through saveAndReloadScheduledMessages, so the
+     cron jobs are updated right away
+============================= */
+async function handleScheduledMessageAutocomplete(interaction) {
+  // Gated like handleScheduleCommand, without logging every keystroke
+  if (!checkPermission(interaction.member, 'schedule').allowed) {
+    await interaction.respond([]);
+    return;
+  }
+  const focused = interaction.options.getFocused().toLowerCase();
+  const choices = readScheduledMessagesFile()
+    .filter(msg => getScheduledMessageGuildId(msg) === interaction.guildId)
+    .filter(msg => msg.name && msg.name.toLowerCase().includes(focused))
+    .map(msg => ({ name: `${msg.name} (${msg.type}${msg.turnon ? '' : ', off'})`.slice(0, 100), value: msg.id }));
+  await interaction.respond(choices.slice(0, 25));
+}
+
+// Each guild only sees the scheduled messages of its own channels
+function findScheduledMessageById(messages, id, guildId) {
+  return messages.find(msg => msg.id === id && getScheduledMessageGuildId(msg) === guildId);
+}
+
+async function handleScheduleCommand(interaction) {
+  if (!(await requirePermission(interaction, 'schedule'))) return;
+
+  const subcommand = interaction.options.getSubcommand();
+  const messages = readScheduledMessagesFile();
+  const msgId = interaction.options.getString('message');
+  const msg = msgId ? findScheduledMessageById(messages, msgId, interaction.guildId) : null;
+  if (msgId && !msg) {
+    await interaction.reply({ content: 'Scheduled message not found.', ephemeral: true });
+    return;
+  }
+
+  if (subcommand === 'list') {
+    const guildMessages = messages.filter(item => getScheduledMessageGuildId(item) === interaction.guildId);
+    if (guildMessages.length === 0) {
+      await interaction.reply({ content: 'No scheduled messages yet.', ephemeral: true });
+      return;
+    }
+    let response = '**Scheduled messages:**\n';
+    for (const item of guildMessages) {
+      response += `- ${item.turnon ? '🟢' : '⚪'} **${item.name}** (${item.type}) in <#${item.channelId}>\n`;
+    }
+    await interaction.reply({ content: response.slice(0, 2000), ephemeral: true });
+  }
+  else if (subcommand === 'show') {
+    const json = JSON.stringify(msg, null, 2);
+    const content = json.length > 1900 ? `${json.slice(0, 1900)}\n...` : json;
+    await interaction.reply({ content: `\`\`\`json\n${content}\n\`\`\``, ephemeral: true });
+  }
+  else if (subcommand === 'toggle') {
+    const field = interaction.options.getString('field') || 'turnon';
+    msg[field] = !msg[field];
+    const validationErrors = saveAndReloadScheduledMessages(messages);
+    if (validationErrors.length > 0) {
+      await interaction.reply({ content: `Could not save: ${formatValidationErrors(validationErrors)}`, ephemeral: true });
+      return;
+    }
+    await interaction.reply({ content: `**${msg.name}**: ${field} is now ${msg[field] ? 'on' : 'off'}.`, ephemeral: true });
+    console.log(`Scheduled message "${msg.name}" ${field} set to ${msg[field]} by ${interaction.user.tag}`);
+  }
+  else if (subcommand === 'create') {
+    const type = interaction.options.getString('type');
+    const channel = interaction.options.getChannel('channel');
+    const scheduleInputs = type === 'weekly'
+      ? [
+        { id: 'dayoftheweek', label: 'Day of the week (0 = Sun ... 6 = Sat)', placeholder: '3' },
+        { id: 'time', label: 'Time (HH:MM:SS)', placeholder: '17:00:00' }
+      ]
+      : [
+        { id: 'date', label: 'Date (YYYY-MM-DD)', placeholder: '2025-12-24' },
+        { id: 'time', label: 'Time (HH:MM:SS)', placeholder: '17:00:00' }
+      ];
+    const inputs = [
+      new TextInputBuilder().setCustomId('name').setLabel('Name').setStyle(TextInputStyle.Short).setRequired(true),
+      ...scheduleInputs.map(input => new TextInputBuilder()
+        .setCustomId(input.id)
+        .setLabel(input.label)
+        .setPlaceholder(input.placeholder)
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)),
+      new TextInputBuilder().setCustomId('messageContent').setLabel('Message').setStyle(TextInputStyle.Paragraph).setRequired(true)
+    ];
+    const modal = new ModalBuilder()
+      .setCustomId(`schedule-create:${type}:${channel.id}`)
+      .setTitle(`New ${type} scheduled message`)
+      .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+    await interaction.showModal(modal);
+  }
+  else if (subcommand === 'edit') {
+    const modal = new ModalBuilder()
+      .setCustomId(`schedule-edit:${msg.id}`)
+      .setTitle(`Edit ${msg.name}`.slice(0, 45))
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('messageContent')
+          .setLabel('Message')
+          .setStyle(TextInputStyle.Paragraph)
+          .setValue((msg.messageContent || '').slice(0, 4000))
+          .setRequired(true)
+      ));
+    await interaction.showModal(modal);
+  }
+  else if (subcommand === 'delete') {
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`schedule-delete-confirm:${msg.id}`).setLabel('Delete').setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(`schedule-delete-cancel:${msg.id}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+    );
+    await interaction.reply({ content: `Delete **${msg.name}**? This cannot be undone.`, components: [buttons], ephemeral: true });
+  }
+  else if (subcommand === 'test-send') {
+    await interaction.deferReply({ ephemeral: true });
+    const { sent, error } = await sendScheduledMessage({ ...msg, channelId: interaction.channelId }, { test: true });
+    await interaction.editReply(sent
+      ? `Test-sent **${msg.name}** to this channel.`
+      : `Could not test-send **${msg.name}**: ${error}`.slice(0, 2000));
+    console.log(`Scheduled message "${msg.name}" test-send by ${interaction.user.tag}: ${sent ? 'sent' : error}`);
+  }
+}
+
+async function handleScheduleModalSubmit(interaction) {
+  if (!(await requirePermission(interaction, 'schedule'))) return;
+
+  const [action, ...params] = interaction.customId.split(':');
+  const messages = readScheduledMessagesFile();
+  let msg;
+
+  if (action === 'schedule-create') {
+    const [type, channelId] = params;
+    const field = id => interaction.fields.getTextInputValue(id).trim();
+    msg = {
+      id: crypto.randomUUID(),
+      type,
+      name: field('name'),
+      turnon: true,
+      imageturnon: false,
+      channelId,
+      responseChannelId: channelId,
+      timezone: DEFAULT_TIMEZONE,
+      messageContent: field('messageContent')
+    };
+    if (type === 'weekly') {
+      const [hour = '', minutes = '', seconds = ''] = field('time').split(':');
+      Object.assign(msg, { hour, minutes, seconds, dayoftheweek: field('dayoftheweek') });
+    } else {
+      const [year = '', month = '', day = ''] = field('date').split('-');
+      Object.assign(msg, { year, month, day, time: field('time') });
+    }
+    messages.push(msg);
+  } else if (action === 'schedule-edit') {
+    msg = findScheduledMessageById(messages, params[0], interaction.guildId);
+    if (!msg) {
+      await interaction.reply({ content: 'Scheduled message not found.', ephemeral: true });
+      return;
+    }
+    msg.messageContent = interaction.fields.getTextInputValue('messageContent');
+  } else {
+    return;
+  }
+
+  const validationErrors = saveAndReloadScheduledMessages(messages);
+  if (validationErrors.length > 0) {
+    await interaction.reply({ content: `Could not save: ${formatValidationErrors(validationErrors)}`.slice(0, 2000), ephemeral: true });
+    return;
+  }
+  const verb = action === 'schedule-create' ? 'created' : 'updated';
+  await interaction.reply({ content: `Scheduled message **${msg.name}** ${verb}.`, ephemeral: true });
+  console.log(`Scheduled message "${msg.name}" ${verb} by ${interaction.user.tag}`);
+}
+
+async function handleScheduleButton(interaction) {
+  if (!(await requirePermission(interaction, 'schedule'))) return;
+
+  const [action, msgId] = interaction.customId.split(':');
+  if (action === 'schedule-delete-cancel') {
+    await interaction.update({ content: 'Deletion cancelled.', components: [] });
+    return;
+  }
+  if (action !== 'schedule-delete-confirm') return;
+
+  const messages = readScheduledMessagesFile();
+  const msg = findScheduledMessageById(messages, msgId, interaction.guildId);
+  if (!msg) {
+    await interaction.update({ content: 'Scheduled message not found.', components: [] });
+    return;
+  }
+  const validationErrors = saveAndReloadScheduledMessages(messages.filter(item => item.id !== msgId));
+  if (validationErrors.length > 0) {
+    await interaction.update({ content: `Could not save: ${formatValidationErrors(validationErrors)}`.slice(0, 2000), components: [] });
+    return;
+  }
+  await interaction.update({ content: `Scheduled message **${msg.name}** deleted.`, components: [] });
+  console.log(`Scheduled message "${msg.name}" deleted by ${interaction.user.tag}`);
+}
+
+/* =============================
+   Image Processing Commands
+============================= */
+async function handleUpdateImagesCommand(ctx) {
+  if (!(await requirePermission(ctx, 'pics'))) return;
+
+  try {
+    const full = ctx.args.includes('full');
+    const args = ctx.args.filter(arg => arg !== 'full');
+    if (args.length === 0) {
+      await ctx.reply('Please provide a channel ID.');
+      return;
+    }
+    const channelId = args[0];
+    if (!/^\d+$/.test(channelId)) {
+      await ctx.reply('Please provide a valid channel ID (numeric).');
+      return;
+    }
+    const channelToProcess = await ctx.guild.channels.fetch(channelId).catch(err => {
+      console.error(`Error fetching channel with ID ${channelId}:`, err);
+      return null;
+    });
+
+    if (!channelToProcess) {
+      await ctx.reply('Channel not found. Please ensure the channel ID is correct.');
+      return;
+    }
+    if (!channelToProcess.isTextBased()) {
+      await ctx.reply('The specified channel is not a text channel.');
+      return;
+    }
+
+    const channelList = getChannelList(ctx.guild.id);
+    if (!channelList.includes(channelId)) {
+      await ctx.reply(`The channel ${channelToProcess.name} is not added for image processing.`);
+      return;
+    }
+
+    const activeJobId = activeChannelSyncs.get(channelId);
+    if (activeJobId) {
+      await ctx.reply(`The channel ${channelToProcess.name} is already being synced (job \`${activeJobId}\`).`);
+      return;
+    }
+
+    const job = startImageSyncJob([channelToProcess], { full, statusChannel: ctx.channel, startedBy: ctx.user.tag });
+    await ctx.reply(`Started image sync job \`${job.id}\` for channel: ${channelToProcess.name} (ID: ${channelId})${full ? ' with a full rescan' : ''}. Progress is posted in this channel, cancel it with \`!cc-pic-sync-cancel ${job.id}\`.`);
+  } catch (error) {
+    console.error('Error updating image URLs:', error);
+    await ctx.reply('An error occurred while updating image URLs. Please check the logs for details.');
+  }
+}
+
+async function handleUpdateAllImagesCommand(ctx) {
+  if (!(await requirePermission(ctx, 'picsall'))) return;
+
+  try {
+    const full = ctx.args.includes('full');
+    const args = ctx.args.filter(arg => arg !== 'full');
+    let channelId;
+    let channelToProcess = null;
+
+    if (args.length > 0) {
+      channelId = args[0];
+      if (!/^\d+$/.test(channelId)) {
+        await ctx.reply('Please provide a valid channel ID (numeric).');
+        return;
+      }
+      channelToProcess = await ctx.guild.channels.fetch(channelId).catch(err => {
+        console.error(`Error fetching channel with ID ${channelId}:`, err);
+        return null;
+      });
+
+      if (!channelToProcess) {
+        await ctx.reply('Channel not found. Please ensure the channel ID is correct.');
+        return;
+      }
+      if (!channelToProcess.isTextBased()) {
+        await ctx.reply('The specified channel is not a text channel.');
+        return;
+      }
+    }
+
+    const guild = ctx.guild;
+    const botMember = await guild.members.fetchMe();
+    const channelList = getChannelList(guild.id);
+
+    let channels = [];
+
+    if (channelToProcess) {
+      if (!channelList.includes(channelId)) {
+        await ctx.reply(`The channel ${channelToProcess.name} is not added for image processing.`);
+        return;
+      }
+      channels = [channelToProcess];
+    } else {
+      for (const id of channelList) {
+        const ch = await guild.channels.fetch(id).catch(() => null);
+        if (
+          ch &&
+          ch.isTextBased() &&
+          ch.viewable &&
+          ch.permissionsFor(botMember).has([
+            PermissionsBitField.Flags.ViewChannel,
+            PermissionsBitField.Flags.ReadMessageHistory
+          ])
+        ) {
+          channels.push(ch);
+        }
+      }
+
+      if (channels.length === 0) {
+        await ctx.send('No channels are added for image processing.');
+        return;
+      }
+    }
+
+    // Channels already being synced by another job are left to that job
+    const busyChannels = channels.filter(ch => activeChannelSyncs.has(ch.id));
+    channels = channels.filter(ch => !activeChannelSyncs.has(ch.id));
+    const busyNote = busyChannels.length > 0
+      ? ` Skipped, already being synced: ${busyChannels.map(ch => ch.name).join(', ')}.`
+      : '';
+    if (channels.length === 0) {
+      await ctx.reply(`Nothing to sync.${busyNote}`);
+      return;
+    }
+
+    const job = startImageSyncJob(channels, { full, statusChannel: ctx.channel, startedBy: ctx.user.tag });
+    await ctx.reply(`Started image sync job \`${job.id}\` for ${channels.length} channel(s)${full ? ' with a full rescan' : ''}. Progress is posted in this channel, cancel it with \`!cc-pic-sync-cancel ${job.id}\`.${busyNote}`);
+  } catch (error) {
+    console.error('Error updating image URLs:', error);
+    await ctx.send('An error occurred while updating image URLs.');
+  }
+}
+
+async function handleCancelImageSyncCommand(message) {
+  if (!(await requirePermission(message, 'cc-pic-sync-cancel'))) return;
+
+  const [jobId] = message.content.trim().split(/\s+/).slice(1);
+  if (!jobId) {
+    await message.reply('Please provide a job ID.');
+    return;
+  }
+  const job = imageSyncJobs.get(jobId);
+  // Jobs of other guilds are only visible to bot admins
+  if (!job || (!isBotAdmin(message.member) && job.channels.some(entry => entry.guildId !== message.guild.id))) {
+    await message.reply(`No image sync job with ID ${jobId}.`);
+    return;
+  }
+  if (!cancelImageSyncJob(job)) {
+    await message.reply(`Job \`${jobId}\` has already ${job.status}.`);
+    return;
+  }
+  await message.reply(`Cancelling job \`${jobId}\`. Images already downloaded are kept.`);
+}
+
+async function handleImageDuplicatesCommand(message) {
+  if (!(await requirePermission(message, 'cc-pic-duplicates'))) return;
+
+  const args = message.content.trim().split(/\s+/).slice(1);
+  if (args[0] === 'keep-earliest') {
+    // The setting covers the gallery API of every guild
+    if (!(await requirePermission(message, 'cc-pic-duplicates-keep-earliest'))) return;
+    if (!['on', 'off'].includes(args[1])) {
+      await message.reply('Usage: `!cc-pic-duplicates keep-earliest on|off`');
+      return;
+    }
+    updateConfig({ dedupeKeepEarliest: args[1] === 'on' });
+    await message.reply(args[1] === 'on'
+      ? 'Duplicate images are now left out of the gallery API, only the earliest copy is served.'
+      : 'Duplicate images are served again.');
+    return;
+  }
+
+  try {
+    const groups = findImageDuplicates().filter(group => group.guildId === message.guild.id);
+    if (groups.length === 0) {
+      await message.reply('No duplicate images found.');
+      return;
+    }
+
+    const duplicateCount = groups.reduce((count, group) => count + group.duplicates.length, 0);
+    const keepEarliest = Boolean(readConfig().dedupeKeepEarliest);
+    let response = `**${groups.length} duplicated image(s), ${duplicateCount} extra cop${duplicateCount === 1 ? 'y' : 'ies'}** (keep-earliest is ${keepEarliest ? 'on' : 'off'}):\n`;
+    let shown = 0;
+    for (const group of groups) {
+      const copies = group.duplicates.map(info => `<${info.messageUrl || info.url}> in <#${info.channelId}>`).join(', ');
+      const line = `- ${group.kind === 'exact' ? 'Exact' : 'Similar'}: kept <${group.keep.messageUrl || group.keep.url}> in <#${group.keep.channelId}>, copies: ${copies}\n`;
+      if (response.length + line.length > 1900) break;
+      response += line;
+      shown++;
+    }
+    if (shown < groups.length) response += `...and ${groups.length - shown} more.`;
+    await message.reply(response);
+  } catch (error) {
+    console.error('Error finding duplicate images:', error);
+    await message.reply('Something went wrong.');
+  }
+}
+
+async function handleStorageMigrateCommand(message) {
+  if (!(await requirePermission(message, 'cc-storage-migrate'))) return;
+
+  const [fromName, toName] = message.content.trim().split(/\s+/).slice(1);
+  if (!STORAGE_BACKENDS.includes(fromName) || !STORAGE_BACKENDS.includes(toName) || fromName === toName) {
+    await message.reply(`Usage: \`!cc-storage-migrate <from> <to>\` with two different backends (${STORAGE_BACKENDS.join(', ')}).`);
+    return;
+  }
+
+  try {
+    await message.channel.send(`Migrating images from ${fromName} to ${toName}, this may take a while...`);
+    const summary = await migrateImageStorage(fromName, toName);
+    let response = `Migrated ${summary.moved} image(s) in ${summary.galleries} galler${summary.galleries === 1 ? 'y' : 'ies'} from ${fromName} to ${toName}.`;
+    if (summary.missing > 0) response += ` ${summary.missing} image(s) were missing from both backends.`;
+    if (summary.failed > 0) response += ` ${summary.failed} image(s) failed, check the logs.`;
+    if (imageStorage.name !== toName) response += `\nSet \`STORAGE_BACKEND=${toName}\` and restart the bot so new images go to ${toName}.`;
+    await message.reply(response);
+  } catch (error) {
+    console.error('Error migrating image storage:', error);
+    await message.reply(`Migration failed: ${error.message}`);
+  }
+}
+
+/* =============================
+   Image Storage
+   - STORAGE_BACKEND selects "local" (assets/ on disk, default) or "s3"
+     (any S3-compatible service, e.g. MinIO via S3_ENDPOINT)
+   - keys are "<guildId>/<channel>/<filename>"; public URLs come from
+     the backend's base URL
+   - the <channel>.json indexes always stay in assets/ on disk
+============================= */
+const DEFAULT_LOCAL_PUBLIC_BASE_URL = 'https://api2.cultureconnection.se/assets';
+const STORAGE_BACKENDS = ['local', 's3'];
+
+function joinPublicUrl(baseUrl, key) {
+  return `${baseUrl.replace(/\/+$/, '')}/${key}`;
+}
+
+function createLocalStorage() {
+  const rootDir = path.join(process.cwd(), 'assets');
+  const baseUrl = process.env.LOCAL_PUBLIC_BASE_URL || DEFAULT_LOCAL_PUBLIC_BASE_URL;
+  const filePath = key => path.join(rootDir, ...key.split('/'));
+  // Staging files are dotfiles, which express.static does not serve, so a
+  // crash mid-write leaves nothing public behind
+  const stagingPath = key => path.join(path.dirname(filePath(key)), `.${path.basename(filePath(key))}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  return {
+    name: 'local',
+    publicUrl: key => joinPublicUrl(baseUrl, key),
+    exists: async key => fs.existsSync(filePath(key)),
+    readStream: async key => fs.createReadStream(filePath(key)),
+    read: key => fs.promises.readFile(filePath(key)),
+    // Written next to the target and renamed, so a file is either complete or absent
+    write: async (key, buffer) => {
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      const tempPath = stagingPath(key);
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath(key));
+    },
+    // Moves a finished temp file into place
+    writeFile: async (key, sourcePath) => {
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      try {
+        await fs.promises.rename(sourcePath, filePath(key));
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        // The temp dir is on another filesystem: copy next to the target first
+        const tempPath = stagingPath(key);
+        await fs.promises.copyFile(sourcePath, tempPath);
+        await fs.promises.rename(tempPath, filePath(key));
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+    remove: async key => {
+      if (fs.existsSync(filePath(key))) await fs.promises.unlink(filePath(key));
+    }
+  };
+}
+
+function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage backend');
+  }
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT;
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(endpoint);
+  const s3 = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+  const baseUrl = process.env.S3_PUBLIC_BASE_URL
+    || (endpoint ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: 's3',
+    publicUrl: key => joinPublicUrl(baseUrl, key),
+    exists: async key => {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        // Without s3:ListBucket, S3 answers 403 instead of 404 for a missing key
+        if (error.$metadata && [403, 404].includes(error.$metadata.httpStatusCode)) return false;
+        throw error;
+      }
+    },
+    readStream: async key => (await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }))).Body,
+    read: async key => {
+      const { Body } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+    write: async (key, buffer, contentType) => {
+      await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+    // Uploads a finished temp file, then deletes it
+    writeFile: async (key, sourcePath, contentType) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await s3.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType
+      }));
+      await fs.promises.unlink(sourcePath);
+    },
+    remove: async key => {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+function createStorage(name) {
+  if (name === 'local') return createLocalStorage();
+  if (name === 's3') return createS3Storage();
+  throw new Error(`Unknown storage backend "${name}" (use: ${STORAGE_BACKENDS.join(', ')})`);
+}
+
+const imageStorage = createStorage(process.env.STORAGE_BACKEND || 'local');
+
+// The key is the last three path segments (two for images stored before
+// galleries were per guild), whichever backend built the URL
+function getStorageKeyFromUrl(url) {
+  const segments = new URL(url).pathname.split('/');
+  return segments.slice(GUILD_ID_PATTERN.test(segments[segments.length - 3]) ? -3 : -2).join('/');
+}
+
+// Content type of an index entry or variant. Entries from before mimeType was
+// recorded fall back to the file extension
+function getImageEntryContentType(entry) {
+  if (entry.mimeType) return entry.mimeType;
+  if (IMAGE_VARIANT_FORMATS[entry.format]) return IMAGE_VARIANT_FORMATS[entry.format].contentType;
+  const extension = path.posix.extname(new URL(entry.url).pathname).slice(1).toLowerCase();
+  return ALLOWED_IMAGE_TYPES.find(type => type === `image/${extension === 'jpg' ? 'jpeg' : extension}`);
+}
+
+// Copies every indexed image from one backend to another, rewrites the
+// index URLs, then deletes the source copies
+async function migrateImageStorage(fromName, toName) {
+  const source = createStorage(fromName);
+  const target = createStorage(toName);
+  const summary = { galleries: 0, moved: 0, missing: 0, failed: 0 };
+
+  for (const galleryDir of listGalleryDirs()) {
+    if (!fs.existsSync(getGalleryIndexPath(galleryDir))) continue;
+    const infos = readImageIndex(galleryDir);
+    const movedKeys = [];
+
+    // Variants are moved along with their original
+    const entries = infos.flatMap(info => [info, ...(info.variants || [])]);
+    for (const info of entries) {
+      const storageKey = getStorageKeyFromUrl(info.url);
+      try {
+        if (await source.exists(storageKey)) {
+          await target.write(storageKey, await source.read(storageKey), getImageEntryContentType(info));
+          movedKeys.push(storageKey);
+        } else if (!(await target.exists(storageKey))) {
+          summary.missing++;
+          continue;
+        }
+        info.url = target.publicUrl(storageKey);
+        summary.moved++;
+      } catch (error) {
+        console.error(`Error migrating image ${storageKey}:`, error);
+        summary.failed++;
+      }
+    }
+
+    writeImageIndex(galleryDir, infos);
+    summary.galleries++;
+
+    for (const storageKey of movedKeys) {
+      try {
+        await source.remove(storageKey);
+      } catch (error) {
+        console.error(`Error removing migrated image ${storageKey} from ${fromName}:`, error);
+      }
+    }
+  }
+
+  return summary;
+}
+
+// Galleries used to be assets/<channel>/ with keys "<channel>/<filename>".
+// Moves the gallery of every configured channel to assets/<guildId>/<channel>/.
+async function moveLegacyGalleries() {
+  // Same-named channels of different guilds shared one legacy gallery
+  const channelsByLegacyDir = new Map();
+  for (const entry of getImageChannelEntries()) {
+    if (!entry.guildId) continue;
+    const channel = await client.channels.fetch(entry.id).catch(() => null);
+    if (!channel) continue;
+    const legacyDir = sanitizeChannelName(channel.name);
+    if (!channelsByLegacyDir.has(legacyDir)) channelsByLegacyDir.set(legacyDir, []);
+    channelsByLegacyDir.get(legacyDir).push(channel);
+  }
+  for (const [legacyDir, channels] of channelsByLegacyDir) {
+    try {
+      await moveLegacyGallery(legacyDir, channels);
+    } catch (error) {
+      console.error(`Error moving the gallery assets/${legacyDir}:`, error);
+    }
+  }
+}
+
+// The channel a legacy entry belongs to, or null if that cannot be told
+async function findLegacyImageOwner(info, channels, messageOwners) {
+  if (info.channelId) return channels.find(channel => channel.id === info.channelId) || null;
+  if (channels.length === 1) return channels[0];
+  // Several guilds have a channel of this name: the one with the message owns the image
+  const messageId = getImageMessageId(info);
+  if (!messageOwners.has(messageId)) {
+    let owner = null;
+    for (const channel of channels) {
+      if (await channel.messages.fetch(messageId).then(Boolean, () => false)) {
+        owner = channel;
+        break;
+      }
+    }
+    messageOwners.set(messageId, owner);
+  }
+  return messageOwners.get(messageId);
+}
+
+// Entries whose owner cannot be told stay in the legacy gallery
+async function moveLegacyGallery(legacyDir, channels) {
+  if (!fs.existsSync(getGalleryIndexPath(legacyDir))) return;
+  const remainingInfos = [];
+  const infosByChannel = new Map(channels.map(channel => [channel.id, []]));
+  const messageOwners = new Map();
+  for (const info of readImageIndex(legacyDir)) {
+    const owner = await findLegacyImageOwner(info, channels, messageOwners);
+    if (owner) infosByChannel.get(owner.id).push(info);
+    else remainingInfos.push(info);
+  }
+
+  const movedKeys = [];
+  for (const channel of channels) {
+    const legacyInfos = infosByChannel.get(channel.id);
+    if (legacyInfos.length === 0) continue;
+    await moveLegacyChannelImages(channel, legacyInfos, movedKeys);
+    console.log(`Moved ${legacyInfos.length} image(s) of channel ${channel.name} from assets/${legacyDir} to assets/${getGalleryDir(channel)}`);
+  }
+
+  for (const storageKey of movedKeys) {
+    await imageStorage.remove(storageKey).catch(error => console.error(`Error removing moved image ${storageKey}:`, error));
+  }
+  if (remainingInfos.length > 0) {
+    writeImageIndex(legacyDir, remainingInfos);
+    console.warn(`${remainingInfos.length} image(s) in assets/${legacyDir} could not be matched to a channel and were left there`);
+    return;
+  }
+  fs.unlinkSync(getGalleryIndexPath(legacyDir));
+  removeCachedGalleryIndex(legacyDir);
+  const legacyDirPath = path.join(assetsDirPath, legacyDir);
+  if (fs.readdirSync(legacyDirPath).length === 0) fs.rmdirSync(legacyDirPath);
+}
+
+// Copies the files of legacyInfos into the channel's gallery and merges them
+// into its index. The copied source keys are added to movedKeys
+async function moveLegacyChannelImages(channel, legacyInfos, movedKeys) {
+  const galleryDir = getGalleryDir(channel);
+  for (const info of legacyInfos) {
+    const files = [
+      { entry: info, contentType: info.mimeType },
+      ...(info.variants || []).map(variant => ({ entry: variant, contentType: IMAGE_VARIANT_FORMATS[variant.format]?.contentType }))
+    ];
+    for (const { entry, contentType } of files) {
+      const storageKey = getStorageKeyFromUrl(entry.url);
+      const newKey = `${galleryDir}/${path.posix.basename(storageKey)}`;
+      if (await imageStorage.exists(storageKey)) {
+        await imageStorage.write(newKey, await imageStorage.read(storageKey), contentType);
+        movedKeys.push(storageKey);
+      }
+      entry.url = imageStorage.publicUrl(newKey);
+    }
+  }
+
+  // Entries stored under the new directory in the meantime win
+  const currentInfos = readImageIndex(galleryDir);
+  const currentUrls = new Set(currentInfos.map(info => info.url));
+  writeImageIndex(galleryDir, [...legacyInfos.filter(info => !currentUrls.has(info.url)), ...currentInfos]);
+  moveDownloadRetries(channel.id, galleryDir);
+}
+
+/* =============================
+   Image Sync Jobs
+   - /pics and /picsall start a job and return right away
+   - at most IMAGE_SYNC_CONCURRENCY channels sync at the same time,
+     and a channel is never synced by two jobs at once
+   - a status message in the command's channel is edited as the job
+     goes; finished jobs are kept for GET /image-sync/jobs
+============================= */
+const IMAGE_SYNC_CONCURRENCY = Math.max(1, parseInt(process.env.IMAGE_SYNC_CONCURRENCY, 10) || 2);
+const IMAGE_SYNC_STATUS_INTERVAL_MS = 5000;
+const IMAGE_SYNC_JOB_HISTORY = 50;
+const imageSyncJobs = new Map();
+const activeChannelSyncs = new Map();
+const imageSyncSlotQueue = [];
+let runningChannelSyncs = 0;
+
+async function acquireImageSyncSlot() {
+  if (runningChannelSyncs < IMAGE_SYNC_CONCURRENCY) {
+    runningChannelSyncs++;
+    return;
+  }
+  // The slot is handed over by releaseImageSyncSlot
+  await new Promise(resolve => imageSyncSlotQueue.push(resolve));
+}
+
+function releaseImageSyncSlot() {
+  const next = imageSyncSlotQueue.shift();
+  if (next) next();
+  else runningChannelSyncs--;
+}
+
+function startImageSyncJob(channels, { full = false, statusChannel = null, startedBy = null } = {}) {
+  const job = {
+    id: crypto.randomBytes(4).toString('hex'),
+    status: 'queued',
+    full,
+    startedBy,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    channels: channels.map(channel => ({
+      id: channel.id,
+      guildId: channel.guildId,
+      name: channel.name,
+      status: 'queued',
+      progress: createSyncProgress(),
+      mode: null,
+      imageCount: null,
+      error: null
+    })),
+    controller: new AbortController(),
+    statusChannel,
+    statusMessage: null,
+    statusContent: null,
+    finished: null
+  };
+  imageSyncJobs.set(job.id, job);
+  for (const channel of channels) activeChannelSyncs.set(channel.id, job.id);
+  pruneImageSyncJobs();
+
+  // Resolves when the job is done, never rejects
+  job.finished = runImageSyncJob(job, channels).catch(error => {
+    console.error(`Error running image sync job ${job.id}:`, error);
+  });
+  return job;
+}
+
+async function runImageSyncJob(job, channels) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  await updateImageSyncStatusMessage(job);
+  const statusTimer = setInterval(() => updateImageSyncStatusMessage(job), IMAGE_SYNC_STATUS_INTERVAL_MS);
+
+  try {
+    await Promise.all(channels.map((channel, index) => runChannelSync(job, channel, job.channels[index])));
+  } finally {
+    clearInterval(statusTimer);
+  }
+
+  job.status = job.controller.signal.aborted ? 'cancelled' : 'completed';
+  job.finishedAt = new Date().toISOString();
+  const failures = job.channels.filter(entry => entry.status === 'failed');
+  console.log(`Image sync job ${job.id} ${job.status}${failures.length > 0 ? ` with ${failures.length} failed channel(s)` : ''}`);
+  await updateImageSyncStatusMessage(job);
+}
+
+async function runChannelSync(job, channel, entry) {
+  await acquireImageSyncSlot();
+  try {
+    if (job.controller.signal.aborted) {
+      entry.status = 'cancelled';
+      return;
+    }
+    entry.status = 'running';
+    const result = await syncChannelImages(channel, {
+      full: job.full,
+      progress: entry.progress,
+      signal: job.controller.signal
+    });
+    entry.mode = result.mode;
+    entry.imageCount = result.imageCount;
+    if (result.cancelled) {
+      entry.status = 'cancelled';
+    } else if (result.error) {
+      entry.status = 'failed';
+      entry.error = `stopped early: ${result.error}`;
+    } else {
+      entry.status = 'completed';
+    }
+  } catch (error) {
+    console.error(`Error syncing images for channel ${channel.name}:`, error);
+    entry.status = 'failed';
+    entry.error = error.message;
+  } finally {
+    if (entry.status !== 'cancelled') {
+      updateImageSyncState(channel.id, {
+        lastSyncAt: new Date().toISOString(),
+        lastSyncResult: entry.status,
+        lastSyncError: entry.error,
+        lastSyncImageCount: entry.imageCount
+      });
+    }
+    releaseImageSyncSlot();
+    activeChannelSyncs.delete(channel.id);
+  }
+}
+
+// Returns false if the job had already finished
+function cancelImageSyncJob(job) {
+  if (job.finishedAt) return false;
+  job.controller.abort();
+  updateImageSyncStatusMessage(job);
+  return true;
+}
+
+function pruneImageSyncJobs() {
+  const finished = [...imageSyncJobs.values()].filter(job => job.finishedAt);
+  for (const job of finished.slice(0, Math.max(0, finished.length - IMAGE_SYNC_JOB_HISTORY))) {
+    imageSyncJobs.delete(job.id);
+  }
+}
+
+function getImageSyncTotals(job) {
+  const totals = createSyncProgress();
+  for (const entry of job.channels) {
+    for (const key of Object.keys(totals)) totals[key] += entry.progress[key];
+  }
+  return totals;
+}
+
+function formatImageSyncJob(job) {
+  const totals = getImageSyncTotals(job);
+  const done = job.channels.filter(entry => !['queued', 'running'].includes(entry.status)).length;
+  const status = job.controller.signal.aborted && !job.finishedAt ? 'cancelling' : job.status;
+  let content = `**Image sync \`${job.id}\`${job.full ? ' (full rescan)' : ''}: ${status}** (${done}/${job.channels.length} channel(s))\n`;
+  content += `Messages scanned: ${totals.messagesScanned} | Images found: ${totals.imagesFound} | Downloaded: ${totals.downloaded} | Failed: ${totals.failed}\n`;
+  for (const entry of job.channels) {
+    let line = `- <#${entry.id}>: ${entry.status}`;
+    if (entry.status === 'completed') line += ` (${entry.mode}, ${entry.imageCount} new or updated image(s))`;
+    if (entry.error) line += `: ${entry.error}`;
+    content += `${line}\n`;
+  }
+  return content.slice(0, 2000);
+}
+
+// The JSON form for the REST API
+function serializeImageSyncJob(job) {
+  return {
+    id: job.id,
+    status: job.controller.signal.aborted && !job.finishedAt ? 'cancelling' : job.status,
+    full: job.full,
+    startedBy: job.startedBy,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    totals: getImageSyncTotals(job),
+    channels: job.channels.map(entry => ({ ...entry, progress: { ...entry.progress } }))
+  };
+}
+
+// Posts the status message once, then edits it whenever the content changed
+async function updateImageSyncStatusMessage(job) {
+  if (!job.statusChannel) return;
+  const content = formatImageSyncJob(job);
+  if (content === job.statusContent) return;
+  job.statusContent = content;
+  try {
+    if (job.statusMessage) {
+      await job.statusMessage.edit(content);
+    } else {
+      job.statusMessage = await job.statusChannel.send(content);
+    }
+  } catch (error) {
+    console.error(`Error updating status message for image sync job ${job.id}:`, error);
+  }
+}
+
+/* =============================
+   Scheduled Image Syncs
+   - each channelIds entry of a guild in config.json can carry syncSchedules:
+     [{ "cron": "0 0 3 * * *" }, { "cron": "0 0 4 * * 0", "full": true }]
+   - runs as an image sync job; a failure is reported to the guild's
+     admin channel
+============================= */
+let imageSyncCronJobs = [];
+
+function scheduleImageChannelSyncs() {
+  imageSyncCronJobs.forEach(job => job.stop());
+  imageSyncCronJobs = [];
+  for (const entry of getImageChannelEntries()) {
+    for (const schedule of entry.syncSchedules) {
+      if (!isValidCronExpression(schedule.cron)) {
+        console.error(`Invalid sync schedule "${schedule.cron}" for image channel ${entry.id}, skipped.`);
+        continue;
+      }
+      imageSyncCronJobs.push(cron.schedule(
+        schedule.cron,
+        () => runScheduledImageSync(entry, schedule),
+        { timezone: schedule.timezone || DEFAULT_TIMEZONE }
+      ));
+    }
+  }
+  if (imageSyncCronJobs.length > 0) console.log(`Scheduled ${imageSyncCronJobs.length} image channel sync(s).`);
+}
+
+// { at, full } of the channel's next scheduled sync, or null
+function getNextImageSync(entry, after = new Date()) {
+  let next = null;
+  for (const schedule of entry.syncSchedules) {
+    if (!isValidCronExpression(schedule.cron)) continue;
+    const run = getNextRun({ type: 'cron', cron: schedule.cron, timezone: schedule.timezone }, after);
+    if (run && (!next || run.at < next.at)) next = { at: run.at, full: Boolean(schedule.full) };
+  }
+  return next;
+}
+
+async function runScheduledImageSync({ id: channelId, guildId }, schedule) {
+  const mode = schedule.full ? 'full' : 'incremental';
+  const activeJobId = activeChannelSyncs.get(channelId);
+  if (activeJobId) {
+    console.log(`Scheduled ${mode} sync of image channel ${channelId} skipped, job ${activeJobId} is already syncing it.`);
+    return;
+  }
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  if (!channel || !channel.isTextBased()) {
+    await notifyAdmins(`**Scheduled image sync failed** for channel ${channelId}: the channel was not found.`, guildId);
+    return;
+  }
+
+  console.log(`Running scheduled ${mode} sync of image channel ${channel.name}`);
+  const job = startImageSyncJob([channel], { full: Boolean(schedule.full), startedBy: 'schedule' });
+  await job.finished;
+  const [result] = job.channels;
+  if (result.status === 'failed') {
+    await notifyAdmins(`**Scheduled image sync failed** for <#${channelId}> (${mode}, job \`${job.id}\`): ${result.error}`, guildId);
+  }
+}
+
+// Picks up schedules edited by hand in config.json
+fs.watchFile(configFilePath, (curr, prev) => {
+  if (curr.mtime > prev.mtime && client.isReady()) {
+    scheduleImageChannelSyncs();
+  }
+});
+
+/* =============================
+   Image Sync State
+   - imageSyncState.json keeps, per channel ID, the newest message
+     already processed, so later syncs only fetch newer messages
+============================= */
+const imageSyncStateFilePath = path.join(process.cwd(), 'imageSyncState.json');
+
+function getImageSyncState() {
+  if (fs.existsSync(imageSyncStateFilePath)) {
+    try {
+      return JSON.parse(fs.readFileSync(imageSyncStateFilePath, 'utf8'));
+    } catch (err) {
+      console.error('Error reading imageSyncState.json:', err);
+    }
+  }
+  return {};
+}
+
+function updateImageSyncState(channelId, changes) {
+  const state = getImageSyncState();
+  state[channelId] = { ...state[channelId], ...changes };
+  fs.writeFileSync(imageSyncStateFilePath, JSON.stringify(state, null, 2));
+}
+
+// Snowflakes grow over time, compare them as BigInt
+function isNewerMessageId(messageId, otherMessageId) {
+  return !otherMessageId || BigInt(messageId) > BigInt(otherMessageId);
+}
+
+// Incremental by default: only messages after the stored cursor.
+// A full rescan reads the whole history and drops images whose message is gone.
+// progress is filled in as the sync goes; aborting signal stops it after the
+// current message.
+async function syncChannelImages(channel, { full = false, progress = createSyncProgress(), signal } = {}) {
+  const { lastMessageId } = getImageSyncState()[channel.id] || {};
+  const incremental = !full && Boolean(lastMessageId);
+
+  // A full rescan rebuilds every entry anyway
+  if (incremental) await upgradeImageIndex(channel);
+
+  const { imageInfos, newestMessageId, complete, error } = await fetchAllImageInfosFromChannel(
+    channel,
+    { afterMessageId: incremental ? lastMessageId : undefined, progress, signal }
+  );
+
+  // A full rescan that stopped early must not delete images it never got to see
+  await saveImageInfos(channel, imageInfos, !incremental && complete);
+
+  // Incremental syncs process messages oldest first, so after an error or a cancel
+  // the cursor stops at the last message processed and the next sync resumes there
+  const syncState = { lastSyncAt: new Date().toISOString(), lastSyncMode: incremental ? 'incremental' : 'full' };
+  if (newestMessageId && (incremental || complete) && isNewerMessageId(newestMessageId, lastMessageId)) {
+    syncState.lastMessageId = newestMessageId;
+  }
+  updateImageSyncState(channel.id, syncState);
+
+  return { mode: syncState.lastSyncMode, imageCount: imageInfos.length, complete, error, cancelled: Boolean(signal && signal.aborted) };
+}
+
+function createSyncProgress() {
+  return { messagesScanned: 0, imagesFound: 0, downloaded: 0, failed: 0 };
+}
+
+// Entries written by older versions lack messageId or phash. They are rebuilt
+// from their message; if it is gone the entry is kept with the fields that
+// can still be filled in.
+async function upgradeImageIndex(channel) {
+  const galleryDir = getGalleryDir(channel);
+  const legacyInfos = readImageIndex(galleryDir)
+    .filter(info => !info.messageId || !Object.hasOwn(info, 'phash'));
+  if (legacyInfos.length === 0) return 0;
+
+  const upgrades = new Map();
+  const messageIds = [...new Set(legacyInfos.map(info => getMessageIdFromImageUrl(info.url)))];
+  for (const messageId of messageIds) {
+    const message = await channel.messages.fetch(messageId).catch(() => null);
+    const infos = message ? await extractImageInfosFromMessage(message, channel) : [];
+    for (const info of infos) upgrades.set(info.url, info);
+  }
+  for (const info of legacyInfos) {
+    if (!upgrades.has(info.url)) {
+      const buffer = await imageStorage.read(getStorageKeyFromUrl(info.url)).catch(() => null);
+      upgrades.set(info.url, {
+        ...info,
+        ...(await hashImageBuffer(buffer)),
+        messageId: getMessageIdFromImageUrl(info.url),
+        channelId: channel.id,
+        channelName: channel.name
+      });
+    }
+  }
+
+  // Re-read so entries changed by live updates in the meantime are kept
+  const current = readImageIndex(galleryDir);
+  writeImageIndex(galleryDir, current.map(info => upgrades.get(info.url) || info));
+  console.log(`Upgraded ${legacyInfos.length} image entries in '${channel.name}'`);
+  return legacyInfos.length;
+}
+
+/* =============================
+   Image Processing Helpers
+============================= */
+// afterMessageId: only fetch messages newer than this one, oldest first
+async function fetchAllImageInfosFromChannel(channel, { afterMessageId, progress = createSyncProgress(), signal } = {}) {
+  let allImageInfos = [];
+  let lastMessageId;
+  let newestMessageId = null;
+  let complete = true;
+  let error = null;
+
+  while (!(signal && signal.aborted)) {
+    const options = { limit: 100 };
+    if (afterMessageId) {
+      options.after = newestMessageId || afterMessageId;
+    } else if (lastMessageId) {
+      options.before = lastMessageId;
+    }
+
+    try {
+      const messages = await channel.messages.fetch(options);
+      if (messages.size === 0) break;
+
+      // Discord returns each batch newest first. Going forward, the batch is walked
+      // oldest first so newestMessageId never passes a message that was skipped by a cancel
+      const batch = [...messages.values()];
+      if (afterMessageId) batch.sort((a, b) => (isNewerMessageId(a.id, b.id) ? 1 : -1));
+
+      for (const msg of batch) {
+        if (signal && signal.aborted) break;
+        const imageInfos = await extractImageInfosFromMessage(msg, channel, progress);
+        allImageInfos.push(...imageInfos);
+        progress.messagesScanned++;
+        if (isNewerMessageId(msg.id, newestMessageId)) {
+          newestMessageId = msg.id;
+        }
+      }
+      lastMessageId = messages.last().id;
+      if (afterMessageId && messages.size < options.limit) break;
+    } catch (fetchError) {
+      console.error(`Error fetching messages from channel ${channel.name}:`, fetchError);
+      complete = false;
+      error = fetchError.message;
+      break;
+    }
+  }
+  // A cancelled rescan has not seen the whole history
+  if (signal && signal.aborted) complete = false;
+
+  // deduplicate
+  const uniqueImageInfos = [];
+  const urls = new Set();
+  for (const info of allImageInfos) {
+    if (!urls.has(info.url)) {
+      urls.add(info.url);
+      uniqueImageInfos.push(info);
+    }
+  }
+  return { imageInfos: uniqueImageInfos, newestMessageId, complete, error };
+}
+
+// Every image of a message (attachments, then embeds) as { sourceUrl, filename, refreshUrl }
+function getMessageImageSources(message, channel) {
+  const sources = [];
+
+  // attachments
+  for (const att of message.attachments.values()) {
+    if (!att.contentType || !att.contentType.startsWith('image/')) continue;
+    const ext = path.extname(att.name) || '.jpg';
+    sources.push({
+      sourceUrl: att.url,
+      filename: `${message.id}_${att.id}${ext}`,
+      refreshUrl: async () => (await refetchMessage(channel, message.id)).attachments.get(att.id)?.url
+    });
+  }
+
+  // embeds
+  message.embeds.filter(e => e.image && e.image.url).forEach((embed, index) => {
+    const ext = path.extname(new URL(embed.image.url).pathname) || '.jpg';
+    sources.push({
+      sourceUrl: embed.image.url,
+      filename: `${message.id}_embed_${index}${ext}`,
+      refreshUrl: async () => (await refetchMessage(channel, message.id)).embeds
+        .filter(e => e.image && e.image.url)[index]?.image.url
+    });
+  });
+
+  return sources;
+}
+
+// Public URLs of every image the message has, whether it could be stored or not
+function getMessageImageUrls(message, channel) {
+  const galleryDir = getGalleryDir(channel);
+  return getMessageImageSources(message, channel).map(({ filename }) => imageStorage.publicUrl(`${galleryDir}/${filename}`));
+}
+
+async function extractImageInfosFromMessage(message, channel, progress = createSyncProgress()) {
+  const infos = await Promise.all(getMessageImageSources(message, channel)
+    .map(source => storeMessageImage(message, channel, { ...source, progress })));
+  return infos.filter(Boolean);
+}
+
+// Discord attachment URLs expire; a freshly fetched message has new ones
+function refetchMessage(channel, messageId) {
+  return channel.messages.fetch({ message: messageId, force: true });
+}
+
+// Stores one image of a message and builds its full index entry. A failed
+// download is queued for a retry and leaves the image out of the index.
+async function storeMessageImage(message, channel, { sourceUrl, filename, progress, refreshUrl }) {
+  const galleryDir = getGalleryDir(channel);
+  const storageKey = `${galleryDir}/${filename}`;
+  try {
+    const knownInfo = findCachedImageInfo(galleryDir, imageStorage.publicUrl(storageKey));
+    const info = await storeImage(sourceUrl, storageKey, { progress, refreshUrl, knownInfo });
+    clearDownloadRetry(storageKey);
+    return info && { ...info, ...getImageMessageMetadata(message, channel) };
+  } catch (error) {
+    console.error(`Error downloading image from ${sourceUrl}:`, error.message);
+    progress.failed++;
+    queueDownloadRetry({
+      storageKey,
+      guildId: channel.guildId,
+      channelId: channel.id,
+      messageId: message.id,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// Downloads an image (unless it is already stored) and builds the file part
+// of its index entry. Throws if the download fails.
+async function storeImage(sourceUrl, storageKey, { progress = createSyncProgress(), refreshUrl, knownInfo = null } = {}) {
+  progress.imagesFound++;
+  let buffer;
+  let dimensions;
+  const alreadyDownloaded = await imageStorage.exists(storageKey);
+  // An indexed file keeps its details, so it is not read back on every sync
+  const known = alreadyDownloaded && knownInfo && knownInfo.hash && knownInfo.phash
+    && knownInfo.width && knownInfo.height && knownInfo.mimeType ? knownInfo : null;
+  if (known) {
+    dimensions = { width: known.width, height: known.height, mimeType: known.mimeType };
+  } else if (alreadyDownloaded) {
+    // Files already stored are probed from storage and not downloaded again
+    dimensions = await getStoredImageDimensions(storageKey);
+    buffer = await imageStorage.read(storageKey).catch(() => null);
+  } else {
+    ({ buffer, dimensions } = await downloadImage(sourceUrl, storageKey, { refreshUrl }));
+    progress.downloaded++;
+  }
+  if (!dimensions) {
+    progress.failed++;
+    return null;
+  }
+
+  const variants = await ensureImageVariants(storageKey, dimensions, buffer, !alreadyDownloaded);
+  return {
+    url: imageStorage.publicUrl(storageKey),
+    orientation: getOrientation(dimensions),
+    width: dimensions.width,
+    height: dimensions.height,
+    mimeType: dimensions.mimeType,
+    ...(known ? { size: known.size, hash: known.hash, phash: known.phash } : await hashImageBuffer(buffer)),
+    variants
+  };
+}
+
+// size, content hash and perceptual hash of an image; null fields without a buffer
+async function hashImageBuffer(buffer) {
+  if (!buffer) return { size: null, hash: null, phash: null };
+  return {
+    size: buffer.length,
+    hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+    phash: await getPerceptualHash(buffer)
+  };
+}
+
+// The message part of an index entry, for captions, credits and sorting
+function getImageMessageMetadata(message, channel) {
+  return {
+    messageId: message.id,
+    messageUrl: message.url,
+    postedAt: message.createdAt.toISOString(),
+    authorId: message.author ? message.author.id : null,
+    authorName: message.member?.displayName ?? message.author?.displayName ?? null,
+    caption: message.content || null,
+    guildId: channel.guildId,
+    channelId: channel.id,
+    channelName: channel.name
+  };
+}
+
+function getOrientation({ width, height }) {
+  if (width > height) return 'horizontal';
+  if (height > width) return 'vertical';
+  return 'square';
+}
+
+// Gallery directories are "<guildId>/<channel>" under assets/, so channels
+// with the same name in two guilds do not share one
+function getGalleryDir(channel) {
+  return `${channel.guildId}/${sanitizeChannelName(channel.name)}`;
+}
+
+function getGalleryIndexPath(galleryDir) {
+  return path.join(assetsDirPath, ...galleryDir.split('/'), `${path.posix.basename(galleryDir)}.json`);
+}
+
+// An empty list for a gallery that has no index yet
+function readImageIndex(galleryDir) {
+  const dataFilePath = getGalleryIndexPath(galleryDir);
+  return fs.existsSync(dataFilePath) ? JSON.parse(fs.readFileSync(dataFilePath, 'utf8')) : [];
+}
+
+// Every write of a <channel>.json goes through here so the gallery cache stays current
+function writeImageIndex(galleryDir, infos) {
+  const dataFilePath = getGalleryIndexPath(galleryDir);
+  fs.mkdirSync(path.dirname(dataFilePath), { recursive: true });
+  fs.writeFileSync(dataFilePath, JSON.stringify(infos, null, 2));
+  setCachedGalleryIndex(galleryDir, infos);
+}
+
+async function saveImageInfos(channel, newInfos, fullUpdate = false) {
+  try {
+    const galleryDir = getGalleryDir(channel);
+    const existingData = readImageIndex(galleryDir);
+
+    let updatedData;
+    let imagesToDelete = [];
+    if (fullUpdate) {
+      // remove images that are no longer in newInfos
+      const newUrls = new Set(newInfos.map(info => info.url));
+      imagesToDelete = existingData.filter(info => !newUrls.has(info.url));
+      updatedData = newInfos;
+    } else {
+      // merge + deduplicate
+      const combined = [...existingData, ...newInfos];
+      const uniqueData = [];
+      const urls = new Set();
+      for (const info of combined) {
+        if (!urls.has(info.url)) {
+          urls.add(info.url);
+          uniqueData.push(info);
+        }
+      }
+      updatedData = uniqueData;
+    }
+
+    writeImageIndex(galleryDir, updatedData);
+    console.log(`Image infos saved for channel '${channel.name}':`, newInfos);
+
+    for (const info of imagesToDelete) {
+      await removeStoredImage(info);
+    }
+  } catch (error) {
+    console.error('Error saving image infos:', error);
+  }
+}
+
+/* =============================
+   Image Downloads
+   - retried with exponential backoff, honouring Retry-After on 429
+   - an expired attachment URL (403/404/410) is refreshed from the
+     message once
+   - streamed to a temp file with a timeout and size cap, checked,
+     then moved into storage in one step
+============================= */
+const IMAGE_DOWNLOAD_ATTEMPTS = 4;
+const IMAGE_DOWNLOAD_BASE_DELAY_MS = 1000;
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+const MAX_IMAGE_DOWNLOAD_BYTES = (Number(process.env.MAX_IMAGE_DOWNLOAD_MB) || 25) * 1024 * 1024;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+const EXPIRED_URL_STATUSES = [403, 404, 410];
+
+function downloadError(message, { retryable = false, retryAfterMs = 0 } = {}) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// Discord sends Retry-After in seconds, X-RateLimit-Reset-After as a float
+function getRetryAfterMs(response) {
+  const seconds = Number(response.headers.get('retry-after') || response.headers.get('x-ratelimit-reset-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Returns { buffer, dimensions } once the file is in storage, throws otherwise
+async function downloadImage(imageUrl, storageKey, { refreshUrl } = {}) {
+  let url = imageUrl;
+  let refreshed = !refreshUrl;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await downloadImageOnce(url, storageKey);
+    } catch (error) {
+      if (error.expired && !refreshed) {
+        refreshed = true;
+        const freshUrl = await refreshUrl().catch(() => null);
+        if (freshUrl) {
+          console.log(`Image URL expired, retrying with a fresh one: ${storageKey}`);
+          url = freshUrl;
+          attempt--;
+          continue;
+        }
+      }
+      if (!error.retryable || attempt >= IMAGE_DOWNLOAD_ATTEMPTS) throw error;
+      const backoffMs = IMAGE_DOWNLOAD_BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random() / 2);
+      await new Promise(resolve => setTimeout(resolve, Math.max(backoffMs, error.retryAfterMs)));
+    }
+  }
+}
+
+async function downloadImageOnce(url, storageKey) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), IMAGE_DOWNLOAD_TIMEOUT_MS);
+  const tempPath = path.join(os.tmpdir(), `cc-download-${crypto.randomBytes(8).toString('hex')}`);
+  try {
+    let response;
+    try {
+      response = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+      throw downloadError(`Request failed: ${error.message}`, { retryable: true });
+    }
+    if (response.status === 429 || response.status >= 500) {
+      throw downloadError(`HTTP ${response.status}`, { retryable: true, retryAfterMs: getRetryAfterMs(response) });
+    }
+    if (!response.ok) {
+      const error = downloadError(`HTTP ${response.status} ${response.statusText}`);
+      error.expired = EXPIRED_URL_STATUSES.includes(response.status);
+      throw error;
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!ALLOWED_IMAGE_TYPES.includes(contentType)) {
+      throw downloadError(`Unsupported content type "${contentType || 'none'}"`);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_DOWNLOAD_BYTES) {
+      throw downloadError(`File is larger than ${MAX_IMAGE_DOWNLOAD_BYTES} bytes`);
+    }
+
+    let bytes = 0;
+    const sizeLimit = new Transform({
+      transform(chunk, encoding, callback) {
+        bytes += chunk.length;
+        if (bytes > MAX_IMAGE_DOWNLOAD_BYTES) {
+          callback(downloadError(`File is larger than ${MAX_IMAGE_DOWNLOAD_BYTES} bytes`));
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+    try {
+      await pipeline(response.body, sizeLimit, fs.createWriteStream(tempPath));
+    } catch (error) {
+      if (error.retryable === false) throw error;
+      throw downloadError(`Download interrupted: ${error.message}`, { retryable: true });
+    }
+
+    const buffer = await fs.promises.readFile(tempPath);
+    const dimensions = getImageDimensionsFromBuffer(buffer);
+    if (!dimensions || !ALLOWED_IMAGE_TYPES.includes(dimensions.mimeType)) {
+      throw downloadError('File is not a supported image');
+    }
+
+    await imageStorage.writeFile(storageKey, tempPath, contentType);
+    console.log(`Image stored (${imageStorage.name}): ${storageKey}`);
+    return { buffer, dimensions };
+  } finally {
+    clearTimeout(timeout);
+    await fs.promises.rm(tempPath, { force: true });
+  }
+}
+
+// EXIF orientations 5-8 are rotated by 90 degrees when displayed
+function toImageDimensions(result) {
+  const rotated = result.orientation >= 5;
+  return {
+    width: rotated ? result.height : result.width,
+    height: rotated ? result.width : result.height,
+    mimeType: result.mime
+  };
+}
+
+function getImageDimensionsFromBuffer(buffer) {
+  const result = probe.sync(buffer);
+  return result ? toImageDimensions(result) : null;
+}
+
+async function getStoredImageDimensions(storageKey) {
+  let input = null;
+  try {
+    input = await imageStorage.readStream(storageKey);
+    return toImageDimensions(await probe(input));
+  } catch (error) {
+    console.error(`Error getting image dimensions for: ${storageKey}`, error);
+    return null;
+  } finally {
+    // probe does not close streams it was given
+    if (input && typeof input.destroy === 'function') input.destroy();
+  }
+}
+
+/* =============================
+   Download Retry Queue
+   - failed downloads are kept in downloadRetryQueue.json, keyed by
+     storage key, and retried with a growing delay
+   - a retry re-reads the whole message, so expired URLs are fresh
+   - failures are reported to each guild's admin channel in batches
+============================= */
+const downloadRetryQueueFilePath = path.join(process.cwd(), 'downloadRetryQueue.json');
+const DOWNLOAD_RETRY_MAX_ATTEMPTS = 8;
+const DOWNLOAD_RETRY_BASE_DELAY_MS = 15 * 60 * 1000;
+const DOWNLOAD_RETRY_MAX_DELAY_MS = DAY_MS;
+const DOWNLOAD_FAILURE_REPORT_DELAY_MS = 60 * 1000;
+const downloadRetryQueue = new Map();
+const pendingDownloadFailures = { queued: [], gaveUp: [] };
+let downloadFailureReportTimer = null;
+let processingDownloadRetries = false;
+
+function loadDownloadRetryQueue() {
+  if (!fs.existsSync(downloadRetryQueueFilePath)) return;
+  try {
+    const items = JSON.parse(fs.readFileSync(downloadRetryQueueFilePath, 'utf8'));
+    for (const item of items) downloadRetryQueue.set(item.storageKey, item);
+  } catch (err) {
+    console.error('Error reading downloadRetryQueue.json:', err);
+  }
+}
+
+function saveDownloadRetryQueue() {
+  fs.writeFileSync(downloadRetryQueueFilePath, JSON.stringify([...downloadRetryQueue.values()], null, 2));
+}
+
+function queueDownloadRetry({ storageKey, guildId, channelId, messageId, error }) {
+  const existing = downloadRetryQueue.get(storageKey);
+  const attempts = (existing ? existing.attempts : 0) + 1;
+  const item = {
+    storageKey,
+    guildId,
+    channelId,
+    messageId,
+    attempts,
+    lastError: error,
+    firstFailedAt: existing ? existing.firstFailedAt : new Date().toISOString(),
+    nextAttemptAt: new Date(Date.now() + Math.min(DOWNLOAD_RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), DOWNLOAD_RETRY_MAX_DELAY_MS)).toISOString()
+  };
+
+  if (attempts >= DOWNLOAD_RETRY_MAX_ATTEMPTS) {
+    downloadRetryQueue.delete(storageKey);
+    pendingDownloadFailures.gaveUp.push(item);
+  } else {
+    downloadRetryQueue.set(storageKey, item);
+    if (!existing) pendingDownloadFailures.queued.push(item);
   }
+  saveDownloadRetryQueue();
+  scheduleDownloadFailureReport();
+}
 
-  // Write the channels data to channels.json
-  const channelsFilePath = path.join(process.cwd(), 'assets/channels.json');
-  fs.writeFile(channelsFilePath, JSON.stringify({ channels }, null, 4), err => {
-    if (err) {
-      console.error('Error writing channels file:', err);
-    } else {
-      console.log('Channel information has been saved to channels.json');
+function clearDownloadRetry(storageKey) {
+  if (downloadRetryQueue.delete(storageKey)) saveDownloadRetryQueue();
+}
+
+// Re-keys a channel's queued downloads after its gallery moved to galleryDir
+function moveDownloadRetries(channelId, galleryDir) {
+  const items = [...downloadRetryQueue.values()].filter(item => item.channelId === channelId);
+  if (items.length === 0) return;
+  for (const item of items) {
+    const storageKey = `${galleryDir}/${path.posix.basename(item.storageKey)}`;
+    downloadRetryQueue.delete(item.storageKey);
+    downloadRetryQueue.set(storageKey, { ...item, storageKey });
+  }
+  saveDownloadRetryQueue();
+}
+
+// Collects failures for a minute, so a sync with many errors sends one report
+function scheduleDownloadFailureReport() {
+  if (downloadFailureReportTimer) return;
+  downloadFailureReportTimer = setTimeout(async () => {
+    downloadFailureReportTimer = null;
+    const { queued, gaveUp } = pendingDownloadFailures;
+    if (queued.length === 0 && gaveUp.length === 0) return;
+    pendingDownloadFailures.queued = [];
+    pendingDownloadFailures.gaveUp = [];
+
+    const describe = item => `- https://discord.com/channels/${item.guildId}/${item.channelId}/${item.messageId} \`${item.storageKey}\`: ${item.lastError}`;
+    for (const guildId of new Set([...queued, ...gaveUp].map(item => item.guildId))) {
+      const guildQueued = queued.filter(item => item.guildId === guildId);
+      const guildGaveUp = gaveUp.filter(item => item.guildId === guildId);
+      let report = '**Image downloads failed**\n';
+      if (guildQueued.length > 0) report += `${guildQueued.length} queued for retry:\n${guildQueued.slice(0, 10).map(describe).join('\n')}\n`;
+      if (guildGaveUp.length > 0) report += `${guildGaveUp.length} given up after ${DOWNLOAD_RETRY_MAX_ATTEMPTS} attempts:\n${guildGaveUp.slice(0, 10).map(describe).join('\n')}\n`;
+      await notifyAdmins(report.slice(0, 2000), guildId);
     }
-  });
+  }, DOWNLOAD_FAILURE_REPORT_DELAY_MS);
+}
 
-  // ------------------------------
-  // Fetch Roles from all Guilds
-  // ------------------------------
-  const roles = [];
+async function processDownloadRetryQueue() {
+  if (processingDownloadRetries) return;
+  processingDownloadRetries = true;
+  try {
+    const now = new Date().toISOString();
+    const dueItems = [...downloadRetryQueue.values()].filter(item => item.nextAttemptAt <= now);
+    const messageKeys = [...new Set(dueItems.map(item => `${item.channelId}/${item.messageId}`))];
 
-  // Iterate over each guild the bot is in
-  for (const guild of client.guilds.cache.values()) {
-    try {
-      // Fetch all roles for this guild
-      const fetchedRoles = await guild.roles.fetch();
+    for (const messageKey of messageKeys) {
+      const [channelId, messageId] = messageKey.split('/');
+      const items = dueItems.filter(item => item.channelId === channelId && item.messageId === messageId);
+      if (!isWatchedImageChannel(channelId)) {
+        items.forEach(item => downloadRetryQueue.delete(item.storageKey));
+        saveDownloadRetryQueue();
+        continue;
+      }
 
-      // Iterate through the roles collection and add each role's id and name
-      fetchedRoles.forEach(role => {
-        roles.push({
-          id: role.id,
-          name: role.name
-        });
-      });
-    } catch (error) {
-      console.error(`Error fetching roles for guild ${guild.id}:`, error);
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      const message = channel ? await refetchMessage(channel, messageId).catch(() => null) : null;
+      if (!message) {
+        // The message or channel is gone, there is nothing left to download
+        items.forEach(item => downloadRetryQueue.delete(item.storageKey));
+        saveDownloadRetryQueue();
+        continue;
+      }
+
+      // Stores the images that can be downloaded now and re-queues the rest
+      const imageInfos = await extractImageInfosFromMessage(message, channel);
+      await replaceMessageImageInfos(channel, messageId, imageInfos, getMessageImageUrls(message, channel));
     }
+    if (dueItems.length > 0) console.log(`Retried ${dueItems.length} failed image download(s), ${downloadRetryQueue.size} still queued.`);
+  } catch (error) {
+    console.error('Error processing the download retry queue:', error);
+  } finally {
+    processingDownloadRetries = false;
   }
+}
 
-  // Write the roles data to roles.json
-  const rolesFilePath = path.join(process.cwd(), 'assets/roles.json');
-  fs.writeFile(rolesFilePath, JSON.stringify({ roles }, null, 4), err => {
-    if (err) {
-      console.error('Error writing roles file:', err);
-    } else {
-      console.log('Role information has been saved to roles.json');
-    }
-  });
-});
+loadDownloadRetryQueue();
 
 /* =============================
-   Channel commands
+   Image Variants
+   - resized copies are stored next to the original as
+     "<name>_<width>w.<webp|jpg>", smaller than the original only
 ============================= */
-async function handleAddChannelCommand(message) {
-  if (!message.member.roles.cache.has(ADMIN_ROLE_ID)) {
-    await message.reply('You do not have permission to use this command.');
-    return;
-  }
-  try {
-    const args = message.content.split(' ').slice(1);
-    if (args.length === 0) {
-      await message.reply('Please provide a channel ID.');
-      return;
-    }
-    const channelId = args[0];
-    const channel = await message.guild.channels.fetch(channelId);
-    if (!channel || !channel.isTextBased()) {
-      await message.reply('Something went wrong: Channel not found or is not a text channel.');
-      return;
-    }
-    const channelList = getChannelList();
-    if (channelList.includes(channelId)) {
-      await message.reply('Channel is already added.');
-      return;
+const IMAGE_VARIANT_WIDTHS = [320, 800, 1600];
+const IMAGE_VARIANT_FORMATS = {
+  webp: { extension: 'webp', contentType: 'image/webp', options: { quality: 80 } },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', options: { quality: 82, mozjpeg: true } }
+};
+
+function getImageVariantTargets(storageKey, originalWidth) {
+  const base = storageKey.slice(0, storageKey.length - path.extname(storageKey).length);
+  return IMAGE_VARIANT_WIDTHS
+    .filter(width => width < originalWidth)
+    .flatMap(width => Object.entries(IMAGE_VARIANT_FORMATS).map(([format, { extension }]) => ({
+      key: `${base}_${width}w.${extension}`,
+      width,
+      format
+    })));
+}
+
+// Generates the missing variants of a stored image, or all of them when
+// regenerate is set (a freshly downloaded original). source is the original's
+// buffer if the caller already has it.
+async function ensureImageVariants(storageKey, dimensions, source = null, regenerate = false) {
+  const variants = [];
+  for (const target of getImageVariantTargets(storageKey, dimensions.width)) {
+    try {
+      let height = Math.round(dimensions.height * target.width / dimensions.width);
+      if (regenerate || !(await imageStorage.exists(target.key))) {
+        if (!source) source = await imageStorage.read(storageKey);
+        const { extension, contentType, options } = IMAGE_VARIANT_FORMATS[target.format];
+        const { data, info } = await sharp(source)
+          .rotate()
+          .resize({ width: target.width })
+          .toFormat(target.format, options)
+          .toBuffer({ resolveWithObject: true });
+        await imageStorage.write(target.key, data, contentType);
+        height = info.height;
+        console.log(`Image variant stored: ${target.key} (${extension})`);
+      }
+      variants.push({
+        url: imageStorage.publicUrl(target.key),
+        width: target.width,
+        height,
+        format: target.format
+      });
+    } catch (error) {
+      console.error(`Error creating image variant ${target.key}:`, error);
     }
-    channelList.push(channelId);
-    saveChannelList(channelList);
-    await message.reply('Channel is successfully added.');
-  } catch (error) {
-    console.error('Error adding channel:', error);
-    await message.reply('Something went wrong.');
   }
+  return variants;
 }
 
-async function handleRemoveChannelCommand(message) {
-  if (!message.member.roles.cache.has(ADMIN_ROLE_ID)) {
-    await message.reply('You do not have permission to use this command.');
-    return;
+// Removes an indexed image and all of its variants from storage
+async function removeStoredImage(info) {
+  for (const { url } of [info, ...(info.variants || [])]) {
+    try {
+      const storageKey = getStorageKeyFromUrl(url);
+      await imageStorage.remove(storageKey);
+      console.log(`Deleted image file: ${storageKey}`);
+    } catch (err) {
+      console.error('Error removing old file:', err);
+    }
   }
+}
+
+// Picks the smallest variant at least `size` pixels wide in the given
+// format, falling back to the original when no variant is large enough
+function selectImageVariant(info, size, format) {
+  const candidates = (info.variants || [])
+    .filter(variant => variant.format === format && variant.width >= size)
+    .sort((a, b) => a.width - b.width);
+  return candidates[0] || null;
+}
+
+/* =============================
+   Image Duplicates
+   - exact copies share a content hash, near copies (resized,
+     recompressed) have perceptual hashes a few bits apart
+   - checked within and across the channels of each guild in config.json
+   - the earliest post is the one kept
+============================= */
+const PERCEPTUAL_HASH_MAX_DISTANCE = 6;
+const BIT_COUNTS = Array.from({ length: 256 }, (_, byte) => byte.toString(2).replace(/0/g, '').length);
+let imageDuplicatesCache = null;
+
+// dHash: 64 bits, each telling whether a pixel is darker than its right neighbour
+async function getPerceptualHash(buffer) {
   try {
-    const args = message.content.split(' ').slice(1);
-    if (args.length === 0) {
-      await message.reply('Please provide a channel ID.');
-      return;
-    }
-    const channelId = args[0];
-    const channelList = getChannelList();
-    if (!channelList.includes(channelId)) {
-      await message.reply('Channel not found in the list.');
-      return;
+    const pixels = await sharp(buffer).rotate().grayscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+      let byte = 0;
+      for (let col = 0; col < 8; col++) {
+        byte = (byte << 1) | (pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1 : 0);
+      }
+      hash += byte.toString(16).padStart(2, '0');
     }
-    const updatedChannelList = channelList.filter(id => id !== channelId);
-    saveChannelList(updatedChannelList);
-    await message.reply('Channel successfully removed.');
+    return hash;
   } catch (error) {
-    console.error('Error removing channel:', error);
-    await message.reply('Something went wrong.');
+    console.error('Error computing perceptual hash:', error);
+    return null;
   }
 }
 
-async function handleListChannelsCommand(message) {
-  if (!message.member.roles.cache.has(ADMIN_ROLE_ID)) {
-    await message.reply('You do not have permission to use this command.');
-    return;
-  }
-  try {
-    const channelList = getChannelList();
-    if (channelList.length === 0) {
-      await message.reply('No channels have been added yet.');
-      return;
+function getHammingDistance(bytesA, bytesB) {
+  let distance = 0;
+  for (let i = 0; i < bytesA.length; i++) distance += BIT_COUNTS[bytesA[i] ^ bytesB[i]];
+  return distance;
+}
+
+// Splits a 64-bit hash into PERCEPTUAL_HASH_MAX_DISTANCE + 1 bands. Two hashes
+// at most that many bits apart cannot differ in every band, so they share one
+function getPerceptualHashBands(phash) {
+  const bits = BigInt(`0x${phash}`).toString(2).padStart(64, '0');
+  const bandCount = PERCEPTUAL_HASH_MAX_DISTANCE + 1;
+  return Array.from({ length: bandCount }, (_, band) => {
+    const start = Math.floor(band * 64 / bandCount);
+    return `${band}:${bits.slice(start, Math.floor((band + 1) * 64 / bandCount))}`;
+  });
+}
+
+function invalidateImageDuplicates() {
+  imageDuplicatesCache = null;
+}
+
+// Returns [{ kind: 'exact' | 'similar', guildId, keep, duplicates }], keep being the earliest post
+function findImageDuplicates() {
+  if (imageDuplicatesCache) return imageDuplicatesCache;
+
+  const channelGuilds = new Map(getImageChannelEntries().map(entry => [entry.id, entry.guildId]));
+  const entries = getAllGalleryImages()
+    .filter(info => channelGuilds.has(info.channelId))
+    .map(info => ({ info, messageId: getImageMessageSnowflake(info) }))
+    // Entries without a usable message ID count as the latest
+    .sort((a, b) => {
+      if (a.messageId === null || b.messageId === null) return (a.messageId === null) - (b.messageId === null);
+      return a.messageId < b.messageId ? -1 : a.messageId > b.messageId ? 1 : 0;
+    })
+    .map(({ info }) => info);
+
+  // Union-find over entry indexes
+  const parents = entries.map((_, index) => index);
+  const findRoot = index => {
+    while (parents[index] !== index) index = parents[index] = parents[parents[index]];
+    return index;
+  };
+  const union = (a, b) => {
+    const rootA = findRoot(a);
+    const rootB = findRoot(b);
+    // The earlier entry stays the root
+    if (rootA !== rootB) parents[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  // Images are only compared with the other images of their guild
+  const guildIds = entries.map(info => channelGuilds.get(info.channelId));
+  const firstByHash = new Map();
+  entries.forEach((info, index) => {
+    if (!info.hash) return;
+    const hashKey = `${guildIds[index]}:${info.hash}`;
+    if (firstByHash.has(hashKey)) union(firstByHash.get(hashKey), index);
+    else firstByHash.set(hashKey, index);
+  });
+
+  // Only hashes sharing a band can be close enough, see getPerceptualHashBands
+  const phashBytes = entries.map(info => (/^[0-9a-f]{16}$/i.test(info.phash || '') ? Buffer.from(info.phash, 'hex') : null));
+  const bandBuckets = new Map();
+  entries.forEach((info, index) => {
+    if (!phashBytes[index]) return;
+    for (const band of getPerceptualHashBands(info.phash)) {
+      const bucketKey = `${guildIds[index]}:${band}`;
+      if (!bandBuckets.has(bucketKey)) bandBuckets.set(bucketKey, []);
+      bandBuckets.get(bucketKey).push(index);
     }
-    let response = '**Channels added for image processing:**\n';
-    for (const channelId of channelList) {
-      try {
-        const channel = await message.guild.channels.fetch(channelId);
-        if (channel) {
-          response += `- ${channel.name} (ID: ${channelId})\n`;
-        } else {
-          response += `- Unknown Channel (ID: ${channelId})\n`;
+  });
+  for (const bucket of bandBuckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const [a, b] = [bucket[i], bucket[j]];
+        if (findRoot(a) !== findRoot(b) && getHammingDistance(phashBytes[a], phashBytes[b]) <= PERCEPTUAL_HASH_MAX_DISTANCE) {
+          union(a, b);
         }
-      } catch (error) {
-        response += `- Unknown Channel (ID: ${channelId})\n`;
       }
     }
-    await message.reply(response);
-  } catch (error) {
-    console.error('Error listing channels:', error);
-    await message.reply('Something went wrong.');
   }
+
+  const groups = new Map();
+  entries.forEach((info, index) => {
+    const root = findRoot(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(info);
+  });
+
+  imageDuplicatesCache = [...groups.values()]
+    .filter(members => members.length > 1)
+    .map(([keep, ...duplicates]) => ({
+      kind: duplicates.every(info => info.hash && info.hash === keep.hash) ? 'exact' : 'similar',
+      guildId: channelGuilds.get(keep.channelId),
+      keep,
+      duplicates
+    }));
+  return imageDuplicatesCache;
+}
+
+// URLs to leave out of the served indexes when keep-earliest is on
+function getHiddenDuplicateUrls() {
+  if (!readConfig().dedupeKeepEarliest) return new Set();
+  return new Set(findImageDuplicates().flatMap(group => group.duplicates.map(info => info.url)));
 }
 
 /* =============================
-   Image Processing Commands
+   Live Gallery Updates
+   - watched channels are the channelIds in config.json
 ============================= */
-async function handleUpdateImagesCommand(message) {
-  if (!message.member.roles.cache.has(ADMIN_ROLE_ID)) {
-    await message.reply('You do not have permission to use this command.');
-    console.log(`User ${message.author.tag} attempted to use !pics without permissions.`);
-    return;
-  }
+// Local filenames start with the Discord message ID ("<messageId>_<attachmentId>.ext")
+function getMessageIdFromImageUrl(url) {
+  return path.basename(new URL(url).pathname).split('_')[0];
+}
 
+// Replace every index entry of one message with newInfos, deleting files that are gone.
+// presentUrls are the images the message still has: one of them missing from
+// newInfos failed to process again (e.g. a network error), so its entry is kept
+async function replaceMessageImageInfos(channel, messageId, newInfos, presentUrls = []) {
   try {
-    const args = message.content.trim().split(/\s+/).slice(1);
-    if (args.length === 0) {
-      await message.reply('Please provide a channel ID.');
-      return;
-    }
-    const channelId = args[0];
-    if (!/^\d+$/.test(channelId)) {
-      await message.reply('Please provide a valid channel ID (numeric).');
-      return;
-    }
-    const channelToProcess = await message.guild.channels.fetch(channelId).catch(err => {
-      console.error(`Error fetching channel with ID ${channelId}:`, err);
-      return null;
-    });
+    const galleryDir = getGalleryDir(channel);
+    const existingData = readImageIndex(galleryDir);
+    const newUrls = new Set(newInfos.map(info => info.url));
+    const stillPresent = new Set(presentUrls);
+    const otherInfos = existingData.filter(info => getMessageIdFromImageUrl(info.url) !== messageId);
+    const messageInfos = existingData.filter(info => getMessageIdFromImageUrl(info.url) === messageId);
+    const keptInfos = messageInfos.filter(info => !newUrls.has(info.url) && stillPresent.has(info.url));
+    const removedInfos = messageInfos.filter(info => !newUrls.has(info.url) && !stillPresent.has(info.url));
+    const updatedInfos = [...newInfos, ...keptInfos];
+    // Edits can change metadata such as the caption, so compare whole entries
+    if (JSON.stringify(messageInfos) === JSON.stringify(updatedInfos)) return;
 
-    if (!channelToProcess) {
-      await message.reply('Channel not found. Please ensure the channel ID is correct.');
-      return;
-    }
-    if (!channelToProcess.isTextBased()) {
-      await message.reply('The specified channel is not a text channel.');
-      return;
-    }
+    writeImageIndex(galleryDir, [...otherInfos, ...updatedInfos]);
+    console.log(`Image infos for message ${messageId} updated in '${channel.name}': ${updatedInfos.length} image(s), ${removedInfos.length} removed`);
 
-    const channelList = getChannelList();
-    if (!channelList.includes(channelId)) {
-      await message.reply(`The channel ${channelToProcess.name} is not added for image processing.`);
-      return;
+    // The index is written first so concurrent events never read a stale copy
+    for (const info of removedInfos) {
+      await removeStoredImage(info);
     }
+  } catch (error) {
+    console.error(`Error updating image infos for message ${messageId}:`, error);
+  }
+}
 
-    await message.reply(`Updating image URLs for channel: ${channelToProcess.name} (ID: ${channelId}), this may take a while...`);
+function isWatchedImageChannel(channelId) {
+  return getChannelList().includes(channelId);
+}
 
-    const allImageInfos = await fetchAllImageInfosFromChannel(channelToProcess);
-    await saveImageInfos(channelToProcess, allImageInfos, true);
+client.on('messageCreate', async (message) => {
+  if (!message.inGuild() || !isWatchedImageChannel(message.channelId)) return;
+  if (message.attachments.size === 0 && message.embeds.length === 0) return;
+  try {
+    const imageInfos = await extractImageInfosFromMessage(message, message.channel);
+    if (imageInfos.length > 0) {
+      await saveImageInfos(message.channel, imageInfos);
+    }
+  } catch (error) {
+    console.error(`Error ingesting images from message ${message.id}:`, error);
+  }
+});
 
-    await message.reply(`Image URLs have been updated for channel: ${channelToProcess.name} (ID: ${channelId}).`);
-    console.log(`Successfully updated images for channel: ${channelToProcess.name} (ID: ${channelId})`);
+// Covers edited or removed attachments, and link embeds Discord resolves after posting
+client.on('messageUpdate', async (oldMessage, newMessage) => {
+  if (!newMessage.guildId || !isWatchedImageChannel(newMessage.channelId)) return;
+  try {
+    const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+    const imageInfos = await extractImageInfosFromMessage(message, message.channel);
+    await replaceMessageImageInfos(message.channel, message.id, imageInfos, getMessageImageUrls(message, message.channel));
   } catch (error) {
-    console.error('Error updating image URLs:', error);
-    await message.reply('An error occurred while updating image URLs. Please check the logs for details.');
+    console.error(`Error updating images for message ${newMessage.id}:`, error);
   }
-}
+});
 
-async function handleUpdateAllImagesCommand(message) {
-  if (!message.member.roles.cache.has(ADMIN_ROLE_ID)) {
-    await message.reply('You do not have permission to use this command.');
-    return;
+client.on('messageDelete', (message) => {
+  if (!message.guildId || !isWatchedImageChannel(message.channelId)) return;
+  const channel = client.channels.cache.get(message.channelId);
+  if (channel) replaceMessageImageInfos(channel, message.id, []);
+});
+
+client.on('messageDeleteBulk', async (messages, channel) => {
+  if (!isWatchedImageChannel(channel.id)) return;
+  for (const messageId of messages.keys()) {
+    await replaceMessageImageInfos(channel, messageId, []);
   }
+});
 
-  try {
-    const args = message.content.trim().split(/\s+/).slice(1);
-    let channelId;
-    let channelToProcess = null;
+/* =============================
+   Gallery Index Cache
+   - every <channel>.json is parsed once and kept in memory, keyed by
+     its gallery directory ("<guildId>/<channel>")
+   - writeImageIndex replaces the cached copy, fs.watchFile picks up
+     changes made by anything else
+   - one version (ETag + Last-Modified) covers all galleries, since
+     hidden duplicates in one channel can depend on the others
+============================= */
+const assetsDirPath = path.join(process.cwd(), 'assets');
+const GALLERY_WATCH_INTERVAL_MS = 5000;
+let galleryIndexes = null;
+let galleryVersion = null;
+const watchedGalleryPaths = new Set();
 
-    if (args.length > 0) {
-      channelId = args[0];
-      if (!/^\d+$/.test(channelId)) {
-        await message.reply('Please provide a valid channel ID (numeric).');
-        return;
-      }
-      channelToProcess = await message.guild.channels.fetch(channelId).catch(err => {
-        console.error(`Error fetching channel with ID ${channelId}:`, err);
-        return null;
-      });
+function watchGalleryPath(filePath, onChange) {
+  if (watchedGalleryPaths.has(filePath)) return;
+  watchedGalleryPaths.add(filePath);
+  fs.watchFile(filePath, { interval: GALLERY_WATCH_INTERVAL_MS }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) onChange();
+  });
+}
 
-      if (!channelToProcess) {
-        await message.reply('Channel not found. Please ensure the channel ID is correct.');
-        return;
-      }
-      if (!channelToProcess.isTextBased()) {
-        await message.reply('The specified channel is not a text channel.');
-        return;
-      }
+function watchGalleryIndex(dirName) {
+  const dataFilePath = getGalleryIndexPath(dirName);
+  watchGalleryPath(dataFilePath, () => {
+    // Our own writes are already cached
+    const cached = galleryIndexes.get(dirName);
+    const mtimeMs = fs.existsSync(dataFilePath) ? fs.statSync(dataFilePath).mtimeMs : null;
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+      console.log(`${path.posix.basename(dirName)}.json of ${dirName} changed on disk. Reloading...`);
+      loadGalleryIndex(dirName);
+      markGalleryChanged();
     }
+  });
+}
 
-    const guild = message.guild;
-    const botMember = await guild.members.fetchMe();
-    const channelList = getChannelList();
+function loadGalleryIndex(dirName) {
+  const dataFilePath = getGalleryIndexPath(dirName);
+  watchGalleryIndex(dirName);
+  try {
+    const { mtimeMs } = fs.statSync(dataFilePath);
+    galleryIndexes.set(dirName, { infos: JSON.parse(fs.readFileSync(dataFilePath, 'utf8')), mtimeMs });
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Error loading gallery index ${dataFilePath}:`, error);
+    galleryIndexes.delete(dirName);
+  }
+}
 
-    let channels = [];
+function listSubdirectories(dirPath) {
+  if (!fs.existsSync(dirPath)) return [];
+  return fs.readdirSync(dirPath, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+}
 
-    if (channelToProcess) {
-      if (!channelList.includes(channelId)) {
-        await message.reply(`The channel ${channelToProcess.name} is not added for image processing.`);
-        return;
-      }
-      channels = [channelToProcess];
-    } else {
-      await message.channel.send('Updating image URLs for all added channels, this may take a while...');
+// "<guildId>/<channel>" for every channel directory, plus "<channel>" for
+// galleries from before they were per guild
+function listGalleryDirs() {
+  return listSubdirectories(assetsDirPath).flatMap(name => (GUILD_ID_PATTERN.test(name)
+    ? listSubdirectories(path.join(assetsDirPath, name)).map(channelDir => `${name}/${channelDir}`)
+    : [name]));
+}
 
-      for (const id of channelList) {
-        const ch = await guild.channels.fetch(id).catch(() => null);
-        if (
-          ch &&
-          ch.isTextBased() &&
-          ch.viewable &&
-          ch.permissionsFor(botMember).has([
-            PermissionsBitField.Flags.ViewChannel,
-            PermissionsBitField.Flags.ReadMessageHistory
-          ])
-        ) {
-          channels.push(ch);
-        }
-      }
+function reloadGalleryDirectories() {
+  loadGalleryDirectories();
+  markGalleryChanged();
+}
+
+// Picks up channel directories added or removed outside the bot
+function loadGalleryDirectories() {
+  const dirNames = listGalleryDirs();
+  for (const dirName of galleryIndexes.keys()) {
+    if (!dirNames.includes(dirName)) galleryIndexes.delete(dirName);
+  }
+  for (const dirName of dirNames) {
+    if (!galleryIndexes.has(dirName)) loadGalleryIndex(dirName);
+  }
+  // New channel directories appear inside their guild's directory
+  for (const name of listSubdirectories(assetsDirPath).filter(name => GUILD_ID_PATTERN.test(name))) {
+    watchGalleryPath(path.join(assetsDirPath, name), reloadGalleryDirectories);
+  }
+}
+
+// Map of channel directory name to { infos, mtimeMs }
+function getGalleryIndexes() {
+  if (!galleryIndexes) {
+    galleryIndexes = new Map();
+    loadGalleryDirectories();
+    watchGalleryPath(assetsDirPath, reloadGalleryDirectories);
+    watchGalleryPath(configFilePath, markGalleryChanged);
+  }
+  return galleryIndexes;
+}
+
+function setCachedGalleryIndex(dirName, infos) {
+  if (galleryIndexes) {
+    galleryIndexes.set(dirName, { infos, mtimeMs: fs.statSync(getGalleryIndexPath(dirName)).mtimeMs });
+    watchGalleryIndex(dirName);
+  }
+  markGalleryChanged();
+}
+
+// Index entry with the given URL, from the cached index of one gallery
+function findCachedImageInfo(dirName, url) {
+  const cached = getGalleryIndexes().get(dirName);
+  if (!cached) return null;
+  if (!cached.infosByUrl) cached.infosByUrl = new Map(cached.infos.map(info => [info.url, info]));
+  return cached.infosByUrl.get(url) || null;
+}
+
+function removeCachedGalleryIndex(dirName) {
+  if (galleryIndexes) galleryIndexes.delete(dirName);
+  markGalleryChanged();
+}
+
+// One guild's gallery images (every guild's without a guildId), optionally
+// only the channels with the given name; null if no gallery matches
+function findGalleryImages({ guildId = null, channelName = null } = {}) {
+  const name = channelName && sanitizeChannelName(channelName);
+  const galleries = [...getGalleryIndexes().entries()]
+    .filter(([dirName]) => {
+      const [dirGuildId, dirChannel] = dirName.includes('/') ? dirName.split('/') : [null, dirName];
+      return (!guildId || dirGuildId === guildId) && (!name || dirChannel === name);
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+  return galleries.length > 0 ? galleries.flatMap(([, { infos }]) => infos) : null;
+}
 
-      if (channels.length === 0) {
-        await message.channel.send('No channels are added for image processing.');
-        return;
-      }
-    }
+function markGalleryChanged() {
+  galleryVersion = null;
+  invalidateImageDuplicates();
+}
 
-    for (const ch of channels) {
-      console.log(`Processing channel: ${ch.name}`);
-      try {
-        const allImageInfos = await fetchAllImageInfosFromChannel(ch);
-        await saveImageInfos(ch, allImageInfos, true);
-        console.log(`Updated images for channel: ${ch.name}`);
-      } catch (error) {
-        console.error(`Error updating images for channel ${ch.name}:`, error);
-      }
-    }
+// { etag, lastModified, allImages } for the current state of every gallery
+function getGalleryVersion() {
+  if (!galleryVersion) {
+    const galleries = [...getGalleryIndexes().entries()].sort(([a], [b]) => a.localeCompare(b));
+    const configMtimeMs = fs.existsSync(configFilePath) ? fs.statSync(configFilePath).mtimeMs : 0;
+    const mtimes = galleries.map(([dirName, { mtimeMs }]) => `${dirName}:${mtimeMs}`);
+    galleryVersion = {
+      etag: crypto.createHash('sha1').update(JSON.stringify([mtimes, configMtimeMs])).digest('base64url'),
+      // HTTP dates have whole seconds
+      lastModified: new Date(Math.floor(Math.max(configMtimeMs, ...galleries.map(([, { mtimeMs }]) => mtimeMs)) / 1000) * 1000),
+      allImages: galleries.flatMap(([, { infos }]) => infos)
+    };
+  }
+  return galleryVersion;
+}
 
-    if (channelToProcess) {
-      await message.reply(`Image URLs have been updated for channel: ${channelToProcess.name} (ID: ${channelId}).`);
-    } else {
-      await message.channel.send('Image URLs have been updated for all added channels.');
-    }
-  } catch (error) {
-    console.error('Error updating image URLs:', error);
-    await message.channel.send('An error occurred while updating image URLs.');
+function getAllGalleryImages() {
+  return getGalleryVersion().allImages;
+}
+
+// Sets ETag and Last-Modified, and answers 304 if the client's copy is current
+function isGalleryResponseFresh(req, res) {
+  // Random order without a seed is different on every request
+  if (req.query.sort === 'random' && !req.query.seed && !req.query.cursor) return false;
+  const { etag, lastModified } = getGalleryVersion();
+  const responseTag = crypto.createHash('sha1').update(`${etag}|${req.originalUrl}`).digest('base64url');
+  res.set('ETag', `W/"${responseTag}"`);
+  res.set('Last-Modified', lastModified.toUTCString());
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
   }
+  return false;
 }
 
 /* =============================
-   Image Processing Helpers
+   Gallery Queries
+   - without any of GALLERY_QUERY_PARAMS the gallery routes return
+     the plain array, as before
+   - otherwise a page: { total, count, sort, seed, items,
+     nextCursor, next }
+   - the cursor holds the sort key of the last item, so pages stay
+     stable when images are added
 ============================= */
-async function fetchAllImageInfosFromChannel(channel) {
-  let allImageInfos = [];
-  let lastMessageId;
+const GALLERY_QUERY_PARAMS = ['limit', 'cursor', 'orientation', 'channel', 'from', 'to', 'author', 'sort', 'seed'];
+const GALLERY_SORTS = ['newest', 'oldest', 'random'];
+const GALLERY_ORIENTATIONS = ['horizontal', 'vertical', 'square'];
+const GALLERY_DEFAULT_LIMIT = 50;
+const GALLERY_MAX_LIMIT = 200;
+const DISCORD_EPOCH = 1420070400000n;
 
-  while (true) {
-    const options = { limit: 100 };
-    if (lastMessageId) {
-      options.before = lastMessageId;
-    }
+function getImageMessageId(info) {
+  return info.messageId || getMessageIdFromImageUrl(info.url);
+}
 
-    try {
-      const messages = await channel.messages.fetch(options);
-      if (messages.size === 0) break;
+// The message ID as a BigInt, or null if it is not a snowflake (e.g. a renamed file)
+function getImageMessageSnowflake(info) {
+  const messageId = String(getImageMessageId(info));
+  return /^\d+$/.test(messageId) ? BigInt(messageId) : null;
+}
 
-      for (const msg of messages.values()) {
-        const imageInfos = await extractImageInfosFromMessage(msg, channel);
-        allImageInfos.push(...imageInfos);
-      }
-      lastMessageId = messages.last().id;
-    } catch (error) {
-      console.error(`Error fetching messages from channel ${channel.name}:`, error);
-      break;
-    }
+// Entries from older versions have no postedAt, the message ID has the time too
+function getImagePostedAt(info) {
+  if (info.postedAt) return new Date(info.postedAt);
+  const snowflake = getImageMessageSnowflake(info);
+  return snowflake === null ? new Date(NaN) : new Date(Number((snowflake >> 22n) + DISCORD_EPOCH));
+}
+
+function getGallerySortKey(info, sort, seed) {
+  if (sort === 'random') {
+    return crypto.createHash('sha256').update(`${seed}:${info.url}`).digest('hex');
   }
+  return `${getImageMessageId(info).padStart(20, '0')} ${info.url}`;
+}
 
-  // deduplicate
-  const uniqueImageInfos = [];
-  const urls = new Set();
-  for (const info of allImageInfos) {
-    if (!urls.has(info.url)) {
-      urls.add(info.url);
-      uniqueImageInfos.push(info);
-    }
+function encodeGalleryCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeGalleryCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (GALLERY_SORTS.includes(cursor.sort) && typeof cursor.key === 'string') return cursor;
+  } catch {
+    // fall through
   }
-  return uniqueImageInfos;
+  return null;
 }
 
-async function extractImageInfosFromMessage(message, channel) {
-  let imageInfos = [];
-  const sanitizedChannelName = sanitizeChannelName(channel.name);
-  const imagesDir = path.join(process.cwd(), 'assets', sanitizedChannelName);
+function parseQueryList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
 
-  if (!fs.existsSync(imagesDir)) {
-    fs.mkdirSync(imagesDir, { recursive: true });
+// Checks the query parameters: returns { error } or the options for queryGalleryImages
+function parseGalleryQuery(query) {
+  let sort = query.sort || 'newest';
+  let seed = query.seed || null;
+  let afterKey = null;
+  if (query.cursor !== undefined) {
+    const cursor = decodeGalleryCursor(query.cursor);
+    if (!cursor) return { error: 'cursor is invalid' };
+    ({ sort, seed = null, key: afterKey } = cursor);
   }
+  if (!GALLERY_SORTS.includes(sort)) return { error: `sort must be one of: ${GALLERY_SORTS.join(', ')}` };
+  if (sort === 'random' && !seed) seed = crypto.randomBytes(4).toString('hex');
 
-  // attachments
-  if (message.attachments.size > 0) {
-    const imageAttachments = message.attachments.filter(
-      (att) => att.contentType && att.contentType.startsWith('image/')
-    );
-    if (imageAttachments.size > 0) {
-      const infos = await Promise.all(
-        imageAttachments.map(async (att) => {
-          const orientation = await getImageOrientation(att.url);
-          if (orientation) {
-            const ext = path.extname(att.name) || '.jpg';
-            const localFilename = `${message.id}_${att.id}${ext}`;
-            const localFilePath = path.join(imagesDir, localFilename);
-            await downloadImage(att.url, localFilePath);
-            const serverUrl = `https://api2.cultureconnection.se/assets/${sanitizedChannelName}/${localFilename}`;
-            return { url: serverUrl, orientation };
-          }
-          return null;
-        })
-      );
-      imageInfos.push(...infos.filter(Boolean));
-    }
+  const limit = query.limit !== undefined ? Number(query.limit) : GALLERY_DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > GALLERY_MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${GALLERY_MAX_LIMIT}` };
   }
 
-  // embeds
-  if (message.embeds.length > 0) {
-    const imageEmbeds = message.embeds.filter(e => e.image && e.image.url);
-    if (imageEmbeds.length > 0) {
-      const infos = await Promise.all(
-        imageEmbeds.map(async (embed, index) => {
-          const orientation = await getImageOrientation(embed.image.url);
-          if (orientation) {
-            const ext = path.extname(new URL(embed.image.url).pathname) || '.jpg';
-            const localFilename = `${message.id}_embed_${index}${ext}`;
-            const localFilePath = path.join(imagesDir, localFilename);
-            await downloadImage(embed.image.url, localFilePath);
-            const serverUrl = `https://api2.cultureconnection.se/assets/${sanitizedChannelName}/${localFilename}`;
-            return { url: serverUrl, orientation };
-          }
-          return null;
-        })
-      );
-      imageInfos.push(...infos.filter(Boolean));
+  const filters = [];
+  if (query.orientation !== undefined) {
+    const orientations = parseQueryList(query.orientation);
+    if (orientations.length === 0 || !orientations.every(value => GALLERY_ORIENTATIONS.includes(value))) {
+      return { error: `orientation must be one or more of: ${GALLERY_ORIENTATIONS.join(', ')}` };
     }
+    filters.push(info => orientations.includes(info.orientation));
   }
-
-  return imageInfos;
-}
-
-async function downloadImage(imageUrl, localPath) {
-  try {
-    const response = await fetch(imageUrl);
-    if (!response.ok) throw new Error(`Failed to fetch image: ${response.statusText}`);
-    const buffer = await response.buffer();
-    fs.writeFileSync(localPath, buffer);
-    console.log(`Image downloaded: ${localPath}`);
-  } catch (error) {
-    console.error(`Error downloading image from ${imageUrl}:`, error);
+  if (query.channel !== undefined) {
+    const channels = parseQueryList(query.channel).map(value => value.toLowerCase());
+    filters.push(info => [info.channelId, info.channelName && info.channelName.toLowerCase(), info.channelName && sanitizeChannelName(info.channelName)]
+      .some(value => value && channels.includes(value)));
   }
-}
-
-async function getImageOrientation(imageUrl) {
-  try {
-    const result = await probe(imageUrl);
-    const { width, height } = result;
-    if (width > height) return 'horizontal';
-    if (height > width) return 'vertical';
-    return 'square';
-  } catch (error) {
-    console.error(`Error getting image dimensions for URL: ${imageUrl}`, error);
-    return null;
+  if (query.author !== undefined) {
+    const authors = parseQueryList(query.author).map(value => value.toLowerCase());
+    filters.push(info => [info.authorId, info.authorName && info.authorName.toLowerCase()]
+      .some(value => value && authors.includes(value)));
+  }
+  for (const bound of ['from', 'to']) {
+    if (query[bound] === undefined) continue;
+    const date = new Date(query[bound]);
+    if (isNaN(date)) return { error: `${bound} must be an ISO 8601 date` };
+    filters.push(bound === 'from'
+      ? info => getImagePostedAt(info) >= date
+      : info => getImagePostedAt(info) <= date);
   }
+
+  return { sort, seed, afterKey, limit, filters };
 }
 
-async function saveImageInfos(channel, newInfos, fullUpdate = false) {
-  try {
-    const sanitizedChannelName = sanitizeChannelName(channel.name);
-    const imagesDir = path.join(process.cwd(), 'assets', sanitizedChannelName);
+// Returns { total, items, sort, seed, nextCursor }
+function queryGalleryImages(infos, { sort, seed, afterKey, limit, filters }) {
+  const direction = sort === 'newest' ? -1 : 1;
+  const matching = infos
+    .filter(info => filters.every(filter => filter(info)))
+    .map(info => ({ info, key: getGallerySortKey(info, sort, seed) }))
+    .sort((a, b) => (a.key < b.key ? -direction : a.key > b.key ? direction : 0));
 
-    if (!fs.existsSync(imagesDir)) {
-      fs.mkdirSync(imagesDir, { recursive: true });
-    }
+  const start = afterKey === null
+    ? 0
+    : matching.findIndex(({ key }) => (direction === 1 ? key > afterKey : key < afterKey));
+  const page = start === -1 ? [] : matching.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < matching.length;
 
-    const dataFilePath = path.join(imagesDir, `${sanitizedChannelName}.json`);
-    let existingData = [];
+  return {
+    total: matching.length,
+    items: page.map(({ info }) => info),
+    sort,
+    seed,
+    nextCursor: hasMore ? encodeGalleryCursor({ sort, seed, key: page[page.length - 1].key }) : null
+  };
+}
 
-    if (fs.existsSync(dataFilePath)) {
-      existingData = JSON.parse(fs.readFileSync(dataFilePath, 'utf8'));
-    }
+// Shared by the gallery routes: validates the query, answers conditional requests,
+// hides duplicates, applies ?size/format and paging
+function sendGalleryImages(req, res, allInfos) {
+  // ?size=<px> swaps each url for the best matching variant (?format=webp|jpeg, default webp)
+  const size = req.query.size !== undefined ? Number(req.query.size) : null;
+  const format = req.query.format || 'webp';
+  if (size !== null && (!Number.isInteger(size) || size < 1)) {
+    return res.status(400).json({ error: 'size must be a positive integer (pixels)' });
+  }
+  if (!Object.hasOwn(IMAGE_VARIANT_FORMATS, format)) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(IMAGE_VARIANT_FORMATS).join(', ')}` });
+  }
+  const withVariant = info => {
+    if (size === null) return info;
+    const variant = selectImageVariant(info, size, format);
+    return variant
+      ? { ...info, url: variant.url, width: variant.width, height: variant.height, originalUrl: info.url }
+      : { ...info, originalUrl: info.url };
+  };
 
-    let updatedData;
-    if (fullUpdate) {
-      // remove images that are no longer in newInfos
-      const newUrls = new Set(newInfos.map(info => info.url));
-      const imagesToDelete = existingData.filter(info => !newUrls.has(info.url));
+  const isQuery = GALLERY_QUERY_PARAMS.some(param => req.query[param] !== undefined);
+  const options = isQuery ? parseGalleryQuery(req.query) : null;
+  if (options && options.error) return res.status(400).json({ error: options.error });
+  // Only a valid query can be answered with 304
+  if (isGalleryResponseFresh(req, res)) return;
 
-      for (const info of imagesToDelete) {
-        try {
-          const localFilename = path.basename(new URL(info.url).pathname);
-          const localFilePath = path.join(imagesDir, localFilename);
-          if (fs.existsSync(localFilePath)) {
-            fs.unlinkSync(localFilePath);
-            console.log(`Deleted image file: ${localFilePath}`);
-          }
-        } catch (err) {
-          console.error('Error removing old file:', err);
-        }
-      }
-      updatedData = newInfos;
-    } else {
-      // merge + deduplicate
-      const combined = [...existingData, ...newInfos];
-      const uniqueData = [];
-      const urls = new Set();
-      for (const info of combined) {
-        if (!urls.has(info.url)) {
-          urls.add(info.url);
-          uniqueData.push(info);
-        }
-      }
-      updatedData = uniqueData;
-    }
+  const hiddenUrls = getHiddenDuplicateUrls();
+  const infos = allInfos.filter(info => !hiddenUrls.has(info.url));
+  if (!isQuery) {
+    return res.json(infos.map(withVariant));
+  }
 
-    fs.writeFileSync(dataFilePath, JSON.stringify(updatedData, null, 2));
-    console.log(`Image infos saved for channel '${channel.name}':`, newInfos);
-  } catch (error) {
-    console.error('Error saving image infos:', error);
+  const result = queryGalleryImages(infos, options);
+
+  let next = null;
+  if (result.nextCursor) {
+    const params = new URLSearchParams({ ...req.query, cursor: result.nextCursor });
+    next = `${req.originalUrl.split('?')[0]}?${params}`;
   }
+  res.json({
+    total: result.total,
+    count: result.items.length,
+    sort: result.sort,
+    seed: result.seed,
+    items: result.items.map(withVariant),
+    nextCursor: result.nextCursor,
+    next
+  });
 }
 
 /* =============================
@@ -990,156 +5038,416 @@ const app = express();
 const PORT = process.env.PORT || 4000;
 
 // CORS + Rate limiting
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'Last-Modified'] }));
 const limiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 });
 app.use(limiter);
 app.use(express.json());
 
-// Serve static files from /assets
-app.use('/assets', express.static(path.join(process.cwd(), 'assets')));
+// Require a valid API key (Authorization: Bearer <token> or X-API-Key) with the given scope
+function requireApiKey(scope) {
+  return (req, res, next) => {
+    const authHeader = req.get('Authorization') || '';
+    const token = authHeader.startsWith('Bearer ')
+      ? authHeader.slice('Bearer '.length).trim()
+      : req.get('X-API-Key');
+
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Missing API key' });
+    }
+    const apiKey = findApiKeyByToken(token);
+    if (!apiKey) {
+      return res.status(401).json({ success: false, error: 'Invalid API key' });
+    }
+    if (!apiKeyHasScope(apiKey, scope)) {
+      return res.status(403).json({ success: false, error: `API key lacks the "${scope}" scope` });
+    }
+    // Routes without :guildId cover every guild, so they are closed to guild-bound keys too
+    if (apiKey.guildId && apiKey.guildId !== req.params.guildId) {
+      return res.status(403).json({ success: false, error: `API key is limited to guild ${apiKey.guildId}, use the /guilds/${apiKey.guildId} routes` });
+    }
+
+    try {
+      recordApiKeyUsage(apiKey);
+    } catch (err) {
+      console.error('Error updating API key usage:', err);
+    }
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+// Serve static files from /assets. Dotfiles (the local storage's staging files) stay hidden
+app.use('/assets', express.static(path.join(process.cwd(), 'assets'), { dotfiles: 'ignore' }));
 
 // Basic root route
 app.get('/', (req, res) => {
   res.json({ hello: 'world2' });
 });
 
-// List directories in /assets
+// Channel names that have a gallery, in one guild or all of them
+function getGalleryChannelNames(guildId = null) {
+  const dirNames = [...getGalleryIndexes().keys()]
+    .filter(dirName => !guildId || dirName.startsWith(`${guildId}/`));
+  return [...new Set(dirNames.map(dirName => path.posix.basename(dirName)))].sort();
+}
+
+// List the channels with a gallery
 app.get('/assets', (req, res) => {
-  const dataDir = path.join(process.cwd(), 'assets');
-  fs.readdir(dataDir, (err, files) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to read data directory' });
-    }
-    const channels = files.filter(file => fs.lstatSync(path.join(dataDir, file)).isDirectory());
-    res.json({ channels });
-  });
+  res.json({ channels: getGalleryChannelNames() });
 });
 
-// Return JSON for a single channel (if any)
+// Return JSON for a single channel (if any), across every guild with a channel of that name
 app.get('/assets/:channelName', (req, res) => {
-  const { channelName } = req.params;
-  const sanitizedChannelName = sanitizeChannelName(channelName);
-  const dataFilePath = path.join(process.cwd(), 'assets', sanitizedChannelName, `${sanitizedChannelName}.json`);
-
-  fs.readFile(dataFilePath, 'utf8', (err, data) => {
-    if (err) {
-      return res.status(404).json({ error: 'Channel data not found' });
-    }
-    res.json(JSON.parse(data));
-  });
+  const infos = findGalleryImages({ channelName: req.params.channelName });
+  if (!infos) {
+    return res.status(404).json({ error: 'Channel data not found' });
+  }
+  sendGalleryImages(req, res, infos);
 });
 
 // Return all data from all channel JSON files
 app.get('/all-data', (req, res) => {
-  const dataDir = path.join(process.cwd(), 'assets');
-  fs.readdir(dataDir, (err, directories) => {
-    if (err) {
-      return res.status(500).json({ error: 'Failed to read data directory' });
-    }
-    let allData = [];
-    directories.forEach(dir => {
-      const dataFilePath = path.join(dataDir, dir, `${dir}.json`);
-      if (fs.existsSync(dataFilePath)) {
-        const fileContents = fs.readFileSync(dataFilePath, 'utf8');
-        allData = allData.concat(JSON.parse(fileContents));
-      }
-    });
-    res.json(allData);
-  });
+  sendGalleryImages(req, res, getAllGalleryImages());
+});
+
+/* =============================
+   GUILDS
+   - the same data as the routes above, for one guild
+============================= */
+app.param('guildId', (req, res, next, guildId) => {
+  if (!client.guilds.cache.has(guildId)) {
+    return res.status(404).json({ success: false, error: 'Guild not found' });
+  }
+  next();
+});
+
+app.get('/guilds', (req, res) => {
+  const guilds = [...client.guilds.cache.values()].map(guild => ({ id: guild.id, name: guild.name }));
+  res.json({ guilds });
+});
+
+app.get('/guilds/:guildId/settings', requireApiKey('read'), (req, res) => {
+  const { guildId } = req.params;
+  res.json({ success: true, data: { ...getGuildSettings(guildId), channelIds: getChannelList(guildId) } });
+});
+
+app.get('/guilds/:guildId/channels', (req, res) => {
+  sendGuildAssetList(res, 'channels', req.params.guildId);
+});
+
+app.get('/guilds/:guildId/roles', (req, res) => {
+  sendGuildAssetList(res, 'roles', req.params.guildId);
+});
+
+app.get('/guilds/:guildId/assets', (req, res) => {
+  res.json({ channels: getGalleryChannelNames(req.params.guildId) });
+});
+
+app.get('/guilds/:guildId/assets/:channelName', (req, res) => {
+  const { guildId, channelName } = req.params;
+  const infos = findGalleryImages({ guildId, channelName });
+  if (!infos) {
+    return res.status(404).json({ error: 'Channel data not found' });
+  }
+  sendGalleryImages(req, res, infos);
+});
+
+app.get('/guilds/:guildId/all-data', (req, res) => {
+  sendGalleryImages(req, res, findGalleryImages({ guildId: req.params.guildId }) || []);
+});
+
+app.get('/guilds/:guildId/scheduledMessages', requireApiKey('read'), (req, res) => {
+  try {
+    const parsed = readScheduledMessagesFile().filter(msg => getScheduledMessageGuildId(msg) === req.params.guildId);
+    res.json({ success: true, data: parsed });
+  } catch (err) {
+    res.status(500).json({ success: false, error: 'Failed to read scheduledMessages file' });
+  }
+});
+
+app.get('/guilds/:guildId/scheduledMessages/upcoming', requireApiKey('read'), (req, res) => {
+  sendUpcomingRuns(req, res, req.params.guildId);
+});
+
+/* =============================
+   IMAGE SYNC JOBS
+============================= */
+app.get('/image-sync/jobs', requireApiKey('read'), (req, res) => {
+  const jobs = [...imageSyncJobs.values()].reverse().map(serializeImageSyncJob);
+  res.json({ success: true, data: jobs });
+});
+
+app.get('/image-sync/jobs/:id', requireApiKey('read'), (req, res) => {
+  const job = imageSyncJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Image sync job not found' });
+  }
+  res.json({ success: true, data: serializeImageSyncJob(job) });
+});
+
+app.post('/image-sync/jobs/:id/cancel', requireApiKey('image-admin'), (req, res) => {
+  const job = imageSyncJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Image sync job not found' });
+  }
+  if (!cancelImageSyncJob(job)) {
+    return res.status(409).json({ success: false, error: `Image sync job has already ${job.status}`, data: serializeImageSyncJob(job) });
+  }
+  res.json({ success: true, data: serializeImageSyncJob(job) });
 });
 
 /* =============================
    SCHEDULED MESSAGES CRUD
 ============================= */
-app.get('/scheduledMessages', (req, res) => {
+// Concurrency: send the ETag from GET as If-Match, a stale editor gets 409 instead of overwriting
+function checkIfMatch(req, res, currentMsg) {
+  const ifMatch = req.get('If-Match');
+  // Without If-Match a client would overwrite changes it never saw; "*" opts out explicitly
+  if (!ifMatch) {
+    res.status(428).json({
+      success: false,
+      error: 'If-Match header required, send the ETag of the scheduled message (or "*" to overwrite unconditionally)'
+    });
+    return false;
+  }
+  if (ifMatch.trim() === '*') return true;
+  const etags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (etags.includes(scheduledMessageEtag(currentMsg))) return true;
+  res.status(409).json({
+    success: false,
+    error: 'Scheduled message was modified by someone else, fetch it again and retry',
+    data: currentMsg
+  });
+  return false;
+}
+
+app.get('/scheduledMessages', requireApiKey('read'), (req, res) => {
   try {
-    const fileData = fs.readFileSync(scheduledMessagesFilePath, 'utf8');
-    const parsed = JSON.parse(fileData);
+    const parsed = readScheduledMessagesFile();
     res.json({ success: true, data: parsed });
   } catch (err) {
     res.status(500).json({ success: false, error: 'Failed to read scheduledMessages file' });
   }
 });
 
-app.post('/scheduledMessages', (req, res) => {
-  const newMsg = req.body;
+// Every future run between from and to (default: the next 30 days), optionally for one channel
+function sendUpcomingRuns(req, res, guildId = null) {
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * DAY_MS);
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return res.status(400).json({ success: false, error: 'from and to must be valid ISO 8601 dates' });
+  }
+  if (to <= from || to - from > 366 * DAY_MS) {
+    return res.status(400).json({ success: false, error: 'to must be after from and at most 366 days later' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ success: false, error: 'limit must be between 1 and 1000' });
+  }
+
+  try {
+    const upcoming = getUpcomingRuns({ from, to, channelId: req.query.channelId, guildId, limit });
+    res.json({ success: true, from: from.toISOString(), to: to.toISOString(), data: upcoming });
+  } catch (err) {
+    console.error('Error computing upcoming runs:', err);
+    res.status(500).json({ success: false, error: 'Failed to compute upcoming runs' });
+  }
+}
+
+app.get('/scheduledMessages/upcoming', requireApiKey('read'), (req, res) => {
+  sendUpcomingRuns(req, res);
+});
+
+// Guild-scoped routes only see the messages whose channel is in that guild
+function isScheduledMessageInGuild(msg, guildId) {
+  return !guildId || getScheduledMessageGuildId(msg) === guildId;
+}
+
+// Validation errors of a message written through a guild-scoped route
+function validateGuildScheduledMessage(msg, guildId) {
+  const validationErrors = validateScheduledMessage(msg);
+  if (validationErrors.length === 0 && !isScheduledMessageInGuild(msg, guildId)) {
+    validationErrors.push({ field: 'channelId', error: 'must be a channel of this guild' });
+  }
+  return validationErrors;
+}
+
+// The handlers below serve /scheduledMessages and, with guildId, /guilds/:guildId/scheduledMessages
+function handleGetScheduledMessage(req, res, guildId = null) {
+  try {
+    const parsed = readScheduledMessagesFile();
+    const msg = parsed.find(item => item.id === req.params.id && isScheduledMessageInGuild(item, guildId));
+    if (!msg) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+    res.set('ETag', scheduledMessageEtag(msg));
+    res.json({ success: true, data: msg });
+  } catch (err) {
+    res.status(500).json({ success: false, error: 'Failed to read scheduledMessages file' });
+  }
+}
+
+function handleCreateScheduledMessage(req, res, guildId = null) {
+  const newMsg = { ...req.body, id: crypto.randomUUID() };
+  const validationErrors = validateGuildScheduledMessage(newMsg, guildId);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid scheduled message', details: validationErrors });
+  }
   try {
-    const fileData = fs.readFileSync(scheduledMessagesFilePath, 'utf8');
-    let parsed = JSON.parse(fileData);
+    const parsed = readScheduledMessagesFile();
     parsed.push(newMsg);
-    fs.writeFileSync(scheduledMessagesFilePath, JSON.stringify(parsed, null, 2));
+    writeScheduledMessagesFile(parsed);
+    res.set('ETag', scheduledMessageEtag(newMsg));
     res.status(201).json({ success: true, data: newMsg });
   } catch (err) {
     res.status(500).json({ success: false, error: 'Failed to create new scheduled message' });
   }
-});
+}
 
-app.put('/scheduledMessages/:index', (req, res) => {
-  const index = parseInt(req.params.index, 10);
-  const updatedMsg = req.body;
+function handleReplaceScheduledMessage(req, res, guildId = null) {
+  const { id } = req.params;
+  const updatedMsg = { ...req.body, id };
+  const validationErrors = validateGuildScheduledMessage(updatedMsg, guildId);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid scheduled message', details: validationErrors });
+  }
   try {
-    const fileData = fs.readFileSync(scheduledMessagesFilePath, 'utf8');
-    let parsed = JSON.parse(fileData);
-    if (index >= 0 && index < parsed.length) {
-      parsed[index] = updatedMsg;
-      fs.writeFileSync(scheduledMessagesFilePath, JSON.stringify(parsed, null, 2));
-      res.json({ success: true, data: updatedMsg });
-    } else {
-      res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    const parsed = readScheduledMessagesFile();
+    const index = parsed.findIndex(item => item.id === id && isScheduledMessageInGuild(item, guildId));
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
     }
+    if (!checkIfMatch(req, res, parsed[index])) return;
+    parsed[index] = updatedMsg;
+    writeScheduledMessagesFile(parsed);
+    res.set('ETag', scheduledMessageEtag(updatedMsg));
+    res.json({ success: true, data: updatedMsg });
   } catch (err) {
     res.status(500).json({ success: false, error: 'Failed to update scheduled message' });
   }
-});
+}
+
+// Partial update (JSON merge patch): given fields replace existing ones, null removes a field
+function handlePatchScheduledMessage(req, res, guildId = null) {
+  const { id } = req.params;
+  const patch = req.body;
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return res.status(400).json({ success: false, error: 'Request body must be a JSON object' });
+  }
+  try {
+    const parsed = readScheduledMessagesFile();
+    const index = parsed.findIndex(item => item.id === id && isScheduledMessageInGuild(item, guildId));
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+    if (!checkIfMatch(req, res, parsed[index])) return;
+
+    const updatedMsg = { ...parsed[index] };
+    for (const [field, value] of Object.entries(patch)) {
+      if (value === null) {
+        delete updatedMsg[field];
+      } else {
+        updatedMsg[field] = value;
+      }
+    }
+    updatedMsg.id = id;
+
+    const validationErrors = validateGuildScheduledMessage(updatedMsg, guildId);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid scheduled message', details: validationErrors });
+    }
+    parsed[index] = updatedMsg;
+    writeScheduledMessagesFile(parsed);
+    res.set('ETag', scheduledMessageEtag(updatedMsg));
+    res.json({ success: true, data: updatedMsg });
+  } catch (err) {
+    res.status(500).json({ success: false, error: 'Failed to update scheduled message' });
+  }
+}
 
-app.delete('/scheduledMessages/:index', (req, res) => {
-  const index = parseInt(req.params.index, 10);
+function handleDeleteScheduledMessage(req, res, guildId = null) {
   try {
-    const fileData = fs.readFileSync(scheduledMessagesFilePath, 'utf8');
-    let parsed = JSON.parse(fileData);
-    if (index >= 0 && index < parsed.length) {
-      const removedItem = parsed.splice(index, 1)[0];
-      fs.writeFileSync(scheduledMessagesFilePath, JSON.stringify(parsed, null, 2));
-      res.json({ success: true, data: removedItem });
-    } else {
-      res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    const parsed = readScheduledMessagesFile();
+    const index = parsed.findIndex(item => item.id === req.params.id && isScheduledMessageInGuild(item, guildId));
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
     }
+    if (!checkIfMatch(req, res, parsed[index])) return;
+    const removedItem = parsed.splice(index, 1)[0];
+    writeScheduledMessagesFile(parsed);
+    res.json({ success: true, data: removedItem });
   } catch (err) {
     res.status(500).json({ success: false, error: 'Failed to delete scheduled message' });
   }
+}
+
+app.get('/scheduledMessages/:id', requireApiKey('read'), (req, res) => {
+  handleGetScheduledMessage(req, res);
 });
-// HTTP GET endpoint to serve channels.json data
-app.get('/channels', (req, res) => {
-  const channelsPath = path.join(process.cwd(), 'assets/channels.json');
-  fs.readFile(channelsPath, 'utf8', (err, data) => {
+
+app.post('/scheduledMessages', requireApiKey('schedule-admin'), (req, res) => {
+  handleCreateScheduledMessage(req, res);
+});
+
+app.put('/scheduledMessages/:id', requireApiKey('schedule-admin'), (req, res) => {
+  handleReplaceScheduledMessage(req, res);
+});
+
+app.patch('/scheduledMessages/:id', requireApiKey('schedule-admin'), (req, res) => {
+  handlePatchScheduledMessage(req, res);
+});
+
+app.delete('/scheduledMessages/:id', requireApiKey('schedule-admin'), (req, res) => {
+  handleDeleteScheduledMessage(req, res);
+});
+
+app.get('/guilds/:guildId/scheduledMessages/:id', requireApiKey('read'), (req, res) => {
+  handleGetScheduledMessage(req, res, req.params.guildId);
+});
+
+app.post('/guilds/:guildId/scheduledMessages', requireApiKey('schedule-admin'), (req, res) => {
+  handleCreateScheduledMessage(req, res, req.params.guildId);
+});
+
+app.put('/guilds/:guildId/scheduledMessages/:id', requireApiKey('schedule-admin'), (req, res) => {
+  handleReplaceScheduledMessage(req, res, req.params.guildId);
+});
+
+app.patch('/guilds/:guildId/scheduledMessages/:id', requireApiKey('schedule-admin'), (req, res) => {
+  handlePatchScheduledMessage(req, res, req.params.guildId);
+});
+
+app.delete('/guilds/:guildId/scheduledMessages/:id', requireApiKey('schedule-admin'), (req, res) => {
+  handleDeleteScheduledMessage(req, res, req.params.guildId);
+});
+
+// channels.json and roles.json list every guild's items, each with its guildId
+function sendGuildAssetList(res, key, guildId = null) {
+  const filePath = path.join(process.cwd(), `assets/${key}.json`);
+  fs.readFile(filePath, 'utf8', (err, data) => {
     if (err) {
-      console.error('Error reading channels.json:', err);
-      return res.status(500).json({ error: 'Failed to load channels data' });
+      console.error(`Error reading ${key}.json:`, err);
+      return res.status(500).json({ error: `Failed to load ${key} data` });
     }
     try {
-      res.json(JSON.parse(data));
+      const items = JSON.parse(data)[key] || [];
+      res.json({ [key]: guildId ? items.filter(item => item.guildId === guildId) : items });
     } catch (parseError) {
-      console.error('Error parsing channels.json:', parseError);
+      console.error(`Error parsing ${key}.json:`, parseError);
       res.status(500).json({ error: 'Invalid JSON data' });
     }
   });
+}
+
+// HTTP GET endpoint to serve channels.json data
+app.get('/channels', (req, res) => {
+  sendGuildAssetList(res, 'channels');
 });
 
 // HTTP GET endpoint to serve roles.json data
 app.get('/roles', (req, res) => {
-  const rolesPath = path.join(process.cwd(), 'assets/roles.json');
-  fs.readFile(rolesPath, 'utf8', (err, data) => {
-    if (err) {
-      console.error('Error reading roles.json:', err);
-      return res.status(500).json({ error: 'Failed to load roles data' });
-    }
-    try {
-      res.json(JSON.parse(data));
-    } catch (parseError) {
-      console.error('Error parsing roles.json:', parseError);
-      res.status(500).json({ error: 'Invalid JSON data' });
-    }
-  });
+  sendGuildAssetList(res, 'roles');
 });
 
 // Finally, login the Discord bot